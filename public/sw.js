@@ -1,7 +1,7 @@
 // public/sw.js - Enhanced Development Mode Handling
 const CACHE_NAME = 'ecommerce-v4.0.0';
 const API_CACHE_NAME = 'ecommerce-api-v2';
-const STATIC_CACHE_NAME = 'ecommerce-static-v2';
+const STATIC_CACHE_NAME = 'ecommerce-static-v4';
 const IMAGE_CACHE_NAME = 'ecommerce-images-v2';
 
 // Development mode detection
@@ -15,18 +15,35 @@ const STATIC_ASSETS = [
   '/src/main.js',
   '/src/app.js',
   '/src/config/api.js',
+  '/src/config/adapters/http-adapter.js',
+  '/src/config/api-errors.js',
+  '/src/config/api-interceptors.js',
+  '/src/config/http-cache.js',
   '/src/utils/auth.js',
+  '/src/utils/logout-service.js',
+  '/src/utils/navigation-service.js',
+  '/src/utils/route-guards.js',
+  '/src/utils/view-state-cache.js',
   '/src/utils/view-transition.js',
   '/src/utils/pwa-service.js',
   '/src/utils/sync-service.js',
   '/src/utils/indexeddb-service.js',
+  '/src/utils/indexeddb-migrations.js',
+  '/src/utils/indexeddb-query.js',
+  '/src/utils/media-service.js',
+  '/src/utils/search-tokenizer.js',
+  '/src/utils/search-service.js',
+  '/src/utils/conflict-resolver.js',
   '/src/components/header.js',
   '/src/components/footer.js',
   '/src/views/home-view.js',
   '/src/views/products-view.js',
   '/src/views/map-view.js',
   '/src/views/add-product-view.js',
+  '/src/views/edit-product-view.js',
+  '/src/views/conflicts-view.js',
   '/src/views/login-view.js',
+  '/src/views/product-detail-view.js',
   '/src/styles/main.css',
   '/manifest.json',
   '/icons/icon-192x192.png',
@@ -61,6 +78,9 @@ self.addEventListener('install', (event) => {
         
         await Promise.all(cachePromises);
         console.log('Static assets cached successfully');
+
+        // Cache the code-split view chunks emitted by the build
+        await precacheBuildChunks(staticCache);
         
         // Skip waiting to activate immediately
         await self.skipWaiting();
@@ -71,6 +91,33 @@ self.addEventListener('install', (event) => {
   );
 });
 
+// Read the build's precache manifest and cache every emitted file
+async function precacheBuildChunks(cache) {
+  try {
+    const manifestUrl = new URL('precache-manifest.json', self.registration.scope);
+    const response = await fetch(manifestUrl, { cache: 'no-store' });
+
+    // No manifest when running from source (e.g. vite dev server)
+    if (!response.ok) {
+      console.log('No precache manifest found, skipping chunk precache');
+      return;
+    }
+
+    const { files = [] } = await response.json();
+    await Promise.all(files.map(async (file) => {
+      try {
+        await cache.add(new URL(file, self.registration.scope));
+      } catch (error) {
+        console.warn(`Failed to cache chunk ${file}:`, error);
+      }
+    }));
+
+    console.log(`Precached ${files.length} build files`);
+  } catch (error) {
+    console.warn('Failed to precache build chunks:', error);
+  }
+}
+
 // Activate Event - Clean up old caches
 self.addEventListener('activate', (event) => {
   console.log('Service Worker activating');
@@ -138,6 +185,8 @@ self.addEventListener('fetch', (event) => {
   // Handle different types of requests
   if (isDevelopment) {
     event.respondWith(handleDevelopmentFetch(event));
+  } else if (event.request.mode === 'navigate') {
+    event.respondWith(handleNavigationFetch(event));
   } else if (isStaticAsset(event.request)) {
     event.respondWith(handleStaticFetch(event));
   } else if (isApiRequest(event.request)) {
@@ -211,7 +260,8 @@ async function handleDevelopmentFetch(event) {
     // For navigation requests, try to return something useful
     if (event.request.mode === 'navigate') {
       try {
-        const cachedResponse = await caches.match('/');
+        const cachedResponse = await caches.match(new URL('index.html', self.registration.scope).href) ||
+                               await caches.match('/');
         if (cachedResponse) {
           return cachedResponse;
         }
@@ -290,6 +340,32 @@ async function handleStaticFetch(event) {
   }
 }
 
+// Navigation requests - Network First with index.html fallback, so clean URLs
+// like /products work offline and on hosts without SPA rewrites (GitHub Pages)
+async function handleNavigationFetch(event) {
+  const appShellUrl = new URL('index.html', self.registration.scope).href;
+
+  try {
+    const networkResponse = await fetch(event.request);
+
+    // Unknown paths are client-side routes - serve the app shell instead
+    if (networkResponse.status === 404) {
+      const appShell = await caches.match(appShellUrl);
+      return appShell || fetch(appShellUrl);
+    }
+
+    return networkResponse;
+  } catch (error) {
+    console.log('Navigation fetch failed, serving app shell:', error);
+
+    const appShell = await caches.match(appShellUrl) ||
+                     await caches.match(self.registration.scope);
+    if (appShell) return appShell;
+
+    throw error;
+  }
+}
+
 // API requests - Network First with Cache Fallback
 async function handleApiFetch(event) {
   const cache = await caches.open(API_CACHE_NAME);
@@ -1,23 +1,69 @@
-import { HomeView } from "./views/home-view.js";
-import { ProductsView } from "./views/products-view.js";
-import { MapView } from "./views/map-view.js";
-import { AddProductView } from "./views/add-product-view.js";
-import { LoginView } from "./views/login-view.js";
 import { HeaderComponent } from "./components/header.js";
 import { FooterComponent } from "./components/footer.js";
 import { ViewTransition } from "./utils/view-transition.js";
+import { RouteGuards } from "./utils/route-guards.js";
+import { NavigationService } from "./utils/navigation-service.js";
+import { ViewStateCache } from "./utils/view-state-cache.js";
 import { AuthService } from "./utils/auth.js";
 
 export class App {
-  constructor() {
+  // mode: "hash" (#/products) or "history" (/products with pushState)
+  // basePath: prefix the app is served under, e.g. "/ecommerce-app/" on GitHub Pages
+  constructor({ mode = "hash", basePath = "" } = {}) {
+    NavigationService.configure({ mode, basePath });
     this.currentView = null;
+    this.currentRouteKey = null;
+    this.navigationId = 0;
+    // Views are loaded on demand so each one ships as its own chunk
     this.routes = {
-      "/": HomeView,
-      "/products": ProductsView,
-      "/map": MapView,
-      "/add-product": AddProductView,
-      "/login": LoginView,
+      "/": {
+        load: () => import("./views/home-view.js").then((m) => m.HomeView),
+      },
+      "/products": {
+        load: () =>
+          import("./views/products-view.js").then((m) => m.ProductsView),
+        requiresAuth: true,
+      },
+      "/products/:id": {
+        load: () =>
+          import("./views/product-detail-view.js").then(
+            (m) => m.ProductDetailView
+          ),
+        requiresAuth: true,
+      },
+      "/products/:id/edit": {
+        load: () =>
+          import("./views/edit-product-view.js").then(
+            (m) => m.EditProductView
+          ),
+        requiresAuth: true,
+      },
+      "/conflicts": {
+        load: () =>
+          import("./views/conflicts-view.js").then((m) => m.ConflictsView),
+        requiresAuth: true,
+      },
+      "/map": {
+        load: () => import("./views/map-view.js").then((m) => m.MapView),
+        requiresAuth: true,
+      },
+      "/add-product": {
+        load: () =>
+          import("./views/add-product-view.js").then((m) => m.AddProductView),
+        requiresAuth: true,
+      },
+      "/login": {
+        load: () => import("./views/login-view.js").then((m) => m.LoginView),
+        guestOnly: true,
+      },
     };
+    this.guards = RouteGuards.defaultGuards();
+
+    // Saved view state belongs to whoever was logged in when it was saved
+    AuthService.addListener("session_started", () => ViewStateCache.clear());
+    AuthService.addListener("account_switched", () =>
+      this.reloadForAccountSwitch()
+    );
   }
 
   async init() {
@@ -30,8 +76,15 @@ export class App {
 
   async renderHeader() {
     const headerContainer = document.getElementById("app-header"); // CHANGED ID
-    const headerComponent = new HeaderComponent();
-    headerContainer.appendChild(headerComponent.render());
+    // The header listens on document and AuthService, so an old one has to
+    // let go before it is replaced
+    if (this.headerComponent) {
+      this.headerComponent.destroy();
+      headerContainer.innerHTML = "";
+    }
+    this.headerComponent = new HeaderComponent();
+    headerContainer.appendChild(this.headerComponent.render());
+    NavigationService.rewriteLinks(headerContainer);
   }
 
   async renderFooter() {
@@ -41,23 +94,35 @@ export class App {
   }
 
   setupRouter() {
-    // Handle initial route
-    this.handleRouteChange();
+    // Scroll positions are restored by the router after each render
+    if ("scrollRestoration" in window.history) {
+      window.history.scrollRestoration = "manual";
+    }
 
-    // Handle hash changes
-    window.addEventListener("hashchange", () => {
-      this.handleRouteChange();
+    // Handle hash changes or popstate, depending on the routing mode
+    NavigationService.subscribe((path, { type }) => {
+      this.handleRouteChange({ isBackForward: type === "pop" });
     });
+    NavigationService.start();
+
+    // Handle initial route
+    this.handleRouteChange();
 
     // Handle link clicks for SPA navigation
     document.addEventListener("click", (e) => {
       const link = e.target.closest("a[data-link]");
-      if (link) {
+      if (!link) return;
+
+      // Let the browser handle new-tab and download clicks
+      if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+        return;
+      }
+
+      const href = link.getAttribute("href");
+      const path = href ? NavigationService.toAppPath(href) : null;
+      if (path) {
         e.preventDefault();
-        const href = link.getAttribute("href");
-        if (href && href.startsWith("#")) {
-          window.location.hash = href.substring(1);
-        }
+        NavigationService.navigate(path);
       }
     });
   }
@@ -76,28 +141,215 @@ export class App {
     });
   }
 
-  async handleRouteChange() {
-    const hash = window.location.hash.substring(1) || "/";
-    const ViewClass = this.routes[hash];
+  // Split the current location into a path and its query string parameters
+  parseLocation() {
+    const fullPath = NavigationService.getCurrentPath();
+    const [path, queryString = ""] = fullPath.split("?");
+
+    return {
+      path: path || "/",
+      query: Object.fromEntries(new URLSearchParams(queryString)),
+      fullPath,
+    };
+  }
+
+  // Find the first route whose pattern matches the path, e.g. "/products/:id"
+  matchRoute(path) {
+    for (const [pattern, route] of Object.entries(this.routes)) {
+      const params = this.matchPattern(pattern, path);
+      if (params) {
+        return { ...route, pattern, params };
+      }
+    }
+    return null;
+  }
+
+  matchPattern(pattern, path) {
+    const patternParts = pattern.split("/").filter(Boolean);
+    const pathParts = path.split("/").filter(Boolean);
 
-    if (!ViewClass) {
+    if (patternParts.length !== pathParts.length) {
+      return null;
+    }
+
+    const params = {};
+    for (let i = 0; i < patternParts.length; i++) {
+      if (patternParts[i].startsWith(":")) {
+        try {
+          params[patternParts[i].substring(1)] = decodeURIComponent(
+            pathParts[i]
+          );
+        } catch (error) {
+          return null;
+        }
+      } else if (patternParts[i] !== pathParts[i]) {
+        return null;
+      }
+    }
+    return params;
+  }
+
+  // Run the route through every guard; the first one that returns a path wins
+  async runGuards(route, location) {
+    for (const guard of this.guards) {
+      const result = await guard(route, location);
+      if (result !== true) {
+        return result;
+      }
+    }
+    return true;
+  }
+
+  async handleRouteChange({ isBackForward = false } = {}) {
+    const navigationId = ++this.navigationId;
+    const location = this.parseLocation();
+    const route = this.matchRoute(location.path);
+
+    // Remember where the user was before the old view is torn down
+    this.saveCurrentViewState();
+
+    if (!route) {
+      this.currentRouteKey = null;
       this.show404();
       return;
     }
 
-    // Check authentication for protected routes
-    if (
-      (hash === "/products" || hash === "/map" || hash === "/add-product") &&
-      !AuthService.isAuthenticated()
-    ) {
-      window.location.hash = "/login";
+    const guardResult = await this.runGuards(route, location);
+    if (guardResult !== true) {
+      NavigationService.navigate(guardResult, { replace: true });
+      return;
+    }
+
+    let ViewClass;
+    try {
+      ViewClass = await this.loadView(route);
+    } catch (error) {
+      console.error("Error loading view:", error);
+      if (navigationId === this.navigationId) {
+        this.showLoadError();
+      }
       return;
     }
 
-    await this.renderView(ViewClass);
+    // The user navigated somewhere else while the chunk was downloading
+    if (navigationId !== this.navigationId) {
+      return;
+    }
+
+    // Back/forward returns to the page as it was left; new visits start fresh
+    const routeKey = location.fullPath;
+    await this.renderView(
+      ViewClass,
+      {
+        params: route.params,
+        query: location.query,
+        savedState: isBackForward ? ViewStateCache.getState(routeKey) : null,
+      },
+      {
+        routeKey,
+        scrollPosition: isBackForward
+          ? ViewStateCache.getScrollPosition(routeKey)
+          : null,
+      }
+    );
+  }
+
+  // Render the current page again with the newly active account's data
+  reloadForAccountSwitch() {
+    // Forget the old view's route key so its state isn't saved again
+    this.currentRouteKey = null;
+    ViewStateCache.clear();
+
+    // Switching from the login page finishes the login
+    const { path, query } = this.parseLocation();
+    if (path === "/login") {
+      NavigationService.navigate(
+        RouteGuards.isSafeRedirect(query.redirect) ? query.redirect : "/products",
+        { replace: true }
+      );
+    } else {
+      this.handleRouteChange();
+    }
+  }
+
+  // Store the scroll position and, for views that opt in, their state
+  saveCurrentViewState() {
+    if (!this.currentView || !this.currentRouteKey) return;
+
+    ViewStateCache.saveScrollPosition(this.currentRouteKey, {
+      x: window.scrollX,
+      y: window.scrollY,
+    });
+
+    if (typeof this.currentView.saveState === "function") {
+      try {
+        ViewStateCache.saveState(
+          this.currentRouteKey,
+          this.currentView.saveState()
+        );
+      } catch (error) {
+        console.error("Error saving view state:", error);
+      }
+    }
+  }
+
+  // Download the route's view chunk, showing a spinner if it takes a moment
+  async loadView(route) {
+    const loadingTimer = setTimeout(() => this.showLoading(), 150);
+
+    try {
+      return await route.load();
+    } finally {
+      clearTimeout(loadingTimer);
+    }
+  }
+
+  showLoading() {
+    const viewContainer = document.getElementById("view-container");
+    viewContainer.innerHTML = `
+      <div class="view loading-view">
+        <div class="loading-spinner" aria-live="polite" aria-label="Loading page">
+          <div class="spinner"></div>
+          <p>Loading page...</p>
+        </div>
+      </div>
+    `;
+  }
+
+  showLoadError() {
+    const viewContainer = document.getElementById("view-container");
+
+    // The previous view's DOM is gone, so release its resources too
+    if (this.currentView && this.currentView.destroy) {
+      this.currentView.destroy();
+    }
+    this.currentView = null;
+
+    viewContainer.innerHTML = `
+      <div class="view error-view">
+        <section class="error-section" aria-labelledby="error-title">
+          <h1 id="error-title">Page Unavailable</h1>
+          <p>${
+            navigator.onLine
+              ? "This page failed to load. Please try again."
+              : "This page is not available offline yet. Please reconnect and try again."
+          }</p>
+          <button type="button" class="btn btn-primary" id="retry-route-btn">Try Again</button>
+        </section>
+      </div>
+    `;
+
+    viewContainer
+      .querySelector("#retry-route-btn")
+      .addEventListener("click", () => this.handleRouteChange());
+    this.manageFocus();
   }
 
-  async renderView(ViewClass) {
+  async renderView(
+    ViewClass,
+    routeContext = {},
+    { routeKey = null, scrollPosition = null } = {}
+  ) {
     const viewContainer = document.getElementById("view-container");
 
     // Clean up current view
@@ -109,24 +361,32 @@ export class App {
     await ViewTransition.start();
 
     // Create and render new view
-    this.currentView = new ViewClass();
+    this.currentView = new ViewClass(routeContext);
+    this.currentRouteKey = routeKey;
     viewContainer.innerHTML = "";
     const viewElement = await this.currentView.render();
     viewContainer.appendChild(viewElement);
+    NavigationService.rewriteLinks(viewContainer);
 
     // Update skip link target
     this.updateSkipLink();
 
     // Focus management for accessibility
-    this.manageFocus();
+    this.manageFocus({ preventScroll: !!scrollPosition });
+
+    if (scrollPosition) {
+      window.scrollTo(scrollPosition.x, scrollPosition.y);
+    } else {
+      window.scrollTo(0, 0);
+    }
   }
 
   // ADD THIS METHOD for focus management
-  manageFocus() {
+  manageFocus({ preventScroll = false } = {}) {
     const mainHeading = document.querySelector("h1");
     if (mainHeading) {
       mainHeading.setAttribute("tabindex", "-1");
-      mainHeading.focus();
+      mainHeading.focus({ preventScroll });
     }
   }
 
@@ -141,6 +401,7 @@ export class App {
         </section>
       </div>
     `;
+    NavigationService.rewriteLinks(viewContainer);
   }
 
   setupSkipLink() {
@@ -1,9 +1,76 @@
+import { NavigationService } from "../utils/navigation-service.js";
+import { AuthService } from "../utils/auth.js";
+import { PwaService } from "../utils/pwa-service.js";
+import { LogoutService } from "../utils/logout-service.js";
+import { SearchService } from "../utils/search-service.js";
+
 export class HeaderComponent {
+  // Pause in typing before suggestions are looked up, in ms
+  static SUGGEST_DELAY = 150;
+
   constructor() {
     this.element = document.createElement("header");
     this.element.setAttribute("role", "banner");
+    this.sessionTimer = null;
+    // Typeahead options shown under the search bar
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    this.suggestionTimer = null;
+    this.suggestionId = 0;
+
+    // Follow the login session: re-render on login/logout and warn
+    // before it runs out
+    AuthService.addListener("session_started", this.handleSessionChanged);
+    AuthService.addListener("session_ended", this.handleSessionChanged);
+    AuthService.addListener("session_expiring", this.handleSessionExpiring);
+    document.addEventListener("click", this.handleDocumentClick);
+    document.addEventListener("keydown", this.handleDocumentKeydown);
   }
 
+  handleSessionChanged = () => {
+    this.refresh();
+  };
+
+  handleSessionExpiring = ({ remaining }) => {
+    this.updateSessionStatus();
+    PwaService.showMessage(
+      `Your session expires in ${this.formatDuration(
+        remaining
+      )}. Please save your work and login again.`,
+      "warning",
+      8000
+    );
+  };
+
+  // Close the account menu when clicking anywhere else or following
+  // its "Add account" link
+  handleDocumentClick = (e) => {
+    if (
+      !e.target.closest(".account-menu") ||
+      e.target.closest("a.account-menu-item")
+    ) {
+      this.closeAccountMenu();
+    }
+    if (!e.target.closest(".nav-search")) {
+      this.closeSuggestions();
+    }
+  };
+
+  // "/" jumps to the search bar unless the user is typing somewhere
+  handleDocumentKeydown = (e) => {
+    if (e.key !== "/" || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest("input, textarea, select, [contenteditable]")) {
+      return;
+    }
+
+    const searchInput = this.element.querySelector("#nav-search-input");
+    if (searchInput) {
+      e.preventDefault();
+      searchInput.focus();
+      searchInput.select();
+    }
+  };
+
   render() {
     const userInfo = JSON.parse(localStorage.getItem("userInfo") || "{}");
 
@@ -16,6 +83,22 @@ export class HeaderComponent {
             </a>
           </h1>
         </div>
+
+        ${
+          userInfo.name
+            ? `
+          <form id="nav-search-form" class="nav-search" role="search" autocomplete="off">
+            <label for="nav-search-input" class="sr-only">Search products</label>
+            <input type="search" id="nav-search-input" class="nav-search-input"
+              placeholder="Search products" aria-keyshortcuts="/"
+              role="combobox" aria-autocomplete="list" aria-expanded="false"
+              aria-controls="nav-search-suggestions">
+            <kbd class="nav-search-hint" aria-hidden="true">/</kbd>
+            <ul id="nav-search-suggestions" class="nav-search-suggestions" role="listbox" aria-label="Search suggestions" hidden></ul>
+          </form>
+        `
+            : ""
+        }
         
         <ul class="nav-menu" role="menubar">
           <li role="none">
@@ -34,7 +117,19 @@ export class HeaderComponent {
               <a href="#/add-product" class="nav-link" role="menuitem" data-link>Add Product</a>
             </li>
             <li role="none" class="nav-user">
-              <span class="user-info">Welcome, ${userInfo.name}</span>
+              <div class="account-menu">
+                <button id="account-menu-btn" class="account-menu-btn" aria-haspopup="true" aria-expanded="false" aria-controls="account-menu-list">
+                  <span class="user-info">Welcome, ${this.escapeHtml(
+                    userInfo.name
+                  )}</span>
+                  <span aria-hidden="true">▾</span>
+                </button>
+                <div id="account-menu-list" class="account-menu-list" hidden>
+                  ${this.renderAccountList(userInfo)}
+                  <a href="#/login?account=add" class="account-menu-item" data-link>+ Add account</a>
+                </div>
+              </div>
+              <span id="session-status" class="session-status"></span>
               <div class="notification-controls">
                 <button id="notification-toggle" class="btn-notification" aria-label="Toggle notifications">
                   <span class="notification-icon">🔔</span>
@@ -61,11 +156,79 @@ export class HeaderComponent {
     `;
 
     this.attachEventListeners();
+    this.startSessionTimer();
     return this.element;
   }
 
+  // Saved accounts other than the active one, each with a switch button
+  renderAccountList(userInfo) {
+    const others = AuthService.getAccounts().filter(
+      (account) => account.user.userId !== userInfo.userId
+    );
+
+    if (others.length === 0) {
+      return `<p class="account-menu-empty">No other saved accounts</p>`;
+    }
+
+    return others
+      .map(
+        (account) => `
+          <button type="button" class="account-menu-item" data-user-id="${this.escapeHtml(
+            account.user.userId
+          )}">
+            Switch to ${this.escapeHtml(account.user.name)}
+          </button>
+        `
+      )
+      .join("");
+  }
+
+  refresh() {
+    this.render();
+    NavigationService.rewriteLinks(this.element);
+  }
+
+  // Keep the remaining session time in the header up to date
+  startSessionTimer() {
+    if (this.sessionTimer) {
+      clearInterval(this.sessionTimer);
+      this.sessionTimer = null;
+    }
+
+    if (!this.element.querySelector("#session-status")) return;
+
+    this.updateSessionStatus();
+    this.sessionTimer = setInterval(() => this.updateSessionStatus(), 60000);
+  }
+
+  updateSessionStatus() {
+    const status = this.element.querySelector("#session-status");
+    const remaining = AuthService.getSessionTimeRemaining();
+    if (!status || remaining === null) return;
+
+    status.textContent = `Session: ${this.formatDuration(remaining)} left`;
+    status.title = `Session expires at ${new Date(
+      Date.now() + remaining
+    ).toLocaleString()}`;
+    status.classList.toggle(
+      "session-expiring",
+      remaining <= AuthService.EXPIRY_WARNING
+    );
+  }
+
+  formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return "less than a minute";
+    if (minutes < 60) return `${minutes} min`;
+
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+  }
+
   async attachEventListeners() {
     const logoutBtn = this.element.querySelector("#logout-btn");
+    const accountMenuBtn = this.element.querySelector("#account-menu-btn");
+    const searchForm = this.element.querySelector("#nav-search-form");
     const navToggle = this.element.querySelector(".nav-toggle");
     const navMenu = this.element.querySelector(".nav-menu");
     const notificationToggle = this.element.querySelector(
@@ -76,6 +239,39 @@ export class HeaderComponent {
       logoutBtn.addEventListener("click", this.handleLogout);
     }
 
+    if (accountMenuBtn) {
+      accountMenuBtn.addEventListener("click", () => {
+        const expanded =
+          accountMenuBtn.getAttribute("aria-expanded") === "true";
+        if (expanded) {
+          this.closeAccountMenu();
+        } else {
+          this.openAccountMenu();
+        }
+      });
+
+      this.element
+        .querySelectorAll(".account-menu-item[data-user-id]")
+        .forEach((item) => {
+          item.addEventListener("click", () =>
+            this.handleSwitchAccount(item.dataset.userId)
+          );
+        });
+
+      this.element
+        .querySelector("#account-menu-list")
+        .addEventListener("keydown", (e) => {
+          if (e.key === "Escape") {
+            this.closeAccountMenu();
+            accountMenuBtn.focus();
+          }
+        });
+    }
+
+    if (searchForm) {
+      this.attachSearchListeners(searchForm);
+    }
+
     if (navToggle) {
       navToggle.addEventListener("click", () => {
         const expanded = navToggle.getAttribute("aria-expanded") === "true";
@@ -94,6 +290,243 @@ export class HeaderComponent {
     }
   }
 
+  openAccountMenu() {
+    const button = this.element.querySelector("#account-menu-btn");
+    const list = this.element.querySelector("#account-menu-list");
+    if (!button || !list) return;
+
+    button.setAttribute("aria-expanded", "true");
+    list.hidden = false;
+
+    const firstItem = list.querySelector(".account-menu-item");
+    if (firstItem) {
+      firstItem.focus();
+    }
+  }
+
+  closeAccountMenu() {
+    const button = this.element.querySelector("#account-menu-btn");
+    const list = this.element.querySelector("#account-menu-list");
+    if (!button || !list) return;
+
+    button.setAttribute("aria-expanded", "false");
+    list.hidden = true;
+  }
+
+  attachSearchListeners(form) {
+    const input = form.querySelector("#nav-search-input");
+    const list = form.querySelector("#nav-search-suggestions");
+
+    input.addEventListener("input", () => {
+      clearTimeout(this.suggestionTimer);
+      this.suggestionTimer = setTimeout(
+        () => this.updateSuggestions(),
+        HeaderComponent.SUGGEST_DELAY
+      );
+    });
+
+    input.addEventListener("focus", () => this.updateSuggestions());
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        if (list.hidden) {
+          this.updateSuggestions();
+          return;
+        }
+        this.moveActiveSuggestion(e.key === "ArrowDown" ? 1 : -1);
+      } else if (e.key === "Escape") {
+        if (list.hidden) {
+          input.blur();
+        } else {
+          this.closeSuggestions();
+        }
+      }
+    });
+
+    // Enter picks the highlighted suggestion, otherwise searches
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const active = this.suggestions[this.activeSuggestion];
+      if (!list.hidden && active) {
+        this.selectSuggestion(active);
+      } else {
+        this.submitSearch(input.value);
+      }
+    });
+
+    list.addEventListener("click", (e) => {
+      const option = e.target.closest("[data-index]");
+      if (option) {
+        this.selectSuggestion(this.suggestions[Number(option.dataset.index)]);
+      }
+    });
+  }
+
+  // Recent searches for an empty query, otherwise matching products from
+  // the offline search index
+  async updateSuggestions() {
+    const input = this.element.querySelector("#nav-search-input");
+    if (!input) return;
+
+    const suggestionId = ++this.suggestionId;
+    const query = input.value.trim();
+    let suggestions;
+
+    if (!query) {
+      const recent = await SearchService.getRecentSearches();
+      suggestions = recent.map((text) => ({ type: "recent", text }));
+      if (suggestions.length > 0) {
+        suggestions.push({ type: "clear", text: "Clear recent searches" });
+      }
+    } else {
+      const products = await SearchService.suggest(query);
+      suggestions = [
+        { type: "search", text: query },
+        ...products.map((product) => ({
+          type: "product",
+          text: product.name || "Unnamed Product",
+          id: product.id,
+        })),
+      ];
+    }
+
+    // The user kept typing while this lookup ran
+    if (suggestionId !== this.suggestionId) return;
+
+    this.suggestions = suggestions;
+    this.activeSuggestion = -1;
+    this.renderSuggestions();
+  }
+
+  renderSuggestions() {
+    const input = this.element.querySelector("#nav-search-input");
+    const list = this.element.querySelector("#nav-search-suggestions");
+    if (!input || !list) return;
+
+    if (this.suggestions.length === 0) {
+      this.closeSuggestions();
+      return;
+    }
+
+    const labels = {
+      recent: (text) => `🕘 ${this.escapeHtml(text)}`,
+      clear: (text) => this.escapeHtml(text),
+      search: (text) => `🔍 Search for "${this.escapeHtml(text)}"`,
+      product: (text) => this.escapeHtml(text),
+    };
+
+    list.innerHTML = this.suggestions
+      .map(
+        (suggestion, index) => `
+          <li id="nav-search-option-${index}" role="option" data-index="${index}"
+            class="nav-search-option nav-search-option-${suggestion.type}"
+            aria-selected="${index === this.activeSuggestion}">
+            ${labels[suggestion.type](suggestion.text)}
+          </li>
+        `
+      )
+      .join("");
+
+    list.hidden = false;
+    input.setAttribute("aria-expanded", "true");
+    if (this.activeSuggestion >= 0) {
+      input.setAttribute(
+        "aria-activedescendant",
+        `nav-search-option-${this.activeSuggestion}`
+      );
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  moveActiveSuggestion(step) {
+    const count = this.suggestions.length;
+    if (count === 0) return;
+
+    // -1 is the input itself; moving past either end wraps around
+    this.activeSuggestion =
+      ((this.activeSuggestion + 1 + step + count + 1) % (count + 1)) - 1;
+    this.renderSuggestions();
+  }
+
+  closeSuggestions() {
+    const input = this.element.querySelector("#nav-search-input");
+    const list = this.element.querySelector("#nav-search-suggestions");
+    if (!input || !list) return;
+
+    this.suggestionId++;
+    this.activeSuggestion = -1;
+    list.hidden = true;
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  }
+
+  async selectSuggestion(suggestion) {
+    const input = this.element.querySelector("#nav-search-input");
+
+    if (suggestion.type === "clear") {
+      await SearchService.clearRecentSearches();
+      this.closeSuggestions();
+      input.focus();
+      return;
+    }
+
+    if (suggestion.type === "product") {
+      await SearchService.addRecentSearch(input.value);
+      this.closeSuggestions();
+      input.blur();
+      NavigationService.navigate(
+        `/products/${encodeURIComponent(suggestion.id)}`
+      );
+      return;
+    }
+
+    input.value = suggestion.text;
+    await this.submitSearch(suggestion.text);
+  }
+
+  // Results live on the products page, so every search has its own link
+  async submitSearch(query) {
+    const text = query.trim();
+    if (!text) return;
+
+    await SearchService.addRecentSearch(text);
+    this.closeSuggestions();
+    this.element.querySelector("#nav-search-input").blur();
+    NavigationService.navigate(`/products?q=${encodeURIComponent(text)}`);
+  }
+
+  escapeHtml(unsafe) {
+    if (!unsafe) return "";
+    return unsafe
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#039;");
+  }
+
+  // The router, SyncService and this header all follow the switch through
+  // AuthService's session_started / account_switched events
+  handleSwitchAccount(userId) {
+    this.closeAccountMenu();
+
+    if (!AuthService.switchAccount(userId)) {
+      PwaService.showMessage(
+        "That account's session has expired. Please login again.",
+        "warning"
+      );
+      this.refresh();
+      return;
+    }
+
+    PwaService.showMessage(
+      `Switched to ${AuthService.getUserInfo().name}`,
+      "success"
+    );
+  }
+
   async updateNotificationToggle() {
     const toggle = this.element.querySelector("#notification-toggle");
     const status = this.element.querySelector(".notification-status");
@@ -207,10 +640,22 @@ export class HeaderComponent {
     }
   }
 
-  handleLogout() {
-    localStorage.removeItem("authToken");
-    localStorage.removeItem("userInfo");
-    window.location.hash = "/";
+  async handleLogout() {
+    // Clears offline data, caches and push; false if the user cancelled
+    const loggedOut = await LogoutService.logout();
+    if (!loggedOut) return;
+
+    NavigationService.navigate("/");
     window.location.reload();
   }
+
+  destroy() {
+    clearInterval(this.sessionTimer);
+    clearTimeout(this.suggestionTimer);
+    AuthService.removeListener("session_started", this.handleSessionChanged);
+    AuthService.removeListener("session_ended", this.handleSessionChanged);
+    AuthService.removeListener("session_expiring", this.handleSessionExpiring);
+    document.removeEventListener("click", this.handleDocumentClick);
+    document.removeEventListener("keydown", this.handleDocumentKeydown);
+  }
 }
@@ -0,0 +1,13 @@
+// Default backend: forwards requests to the Dicoding Story API over HTTP
+export class HttpAdapter {
+  constructor(baseUrl) {
+    this.name = 'http';
+    this.baseUrl = baseUrl;
+    // The Story API has no PUT or DELETE /stories/:id
+    this.supportsStoryEdits = false;
+  }
+
+  async fetch(endpoint, config) {
+    return fetch(`${this.baseUrl}${endpoint}`, config);
+  }
+}
@@ -0,0 +1,434 @@
+// In-browser backend for local development and testing.
+// Implements the Dicoding Story API endpoints on top of its own IndexedDB
+// database and answers with real Response objects, so ApiService.request
+// handles mock and HTTP responses the same way.
+export class MockAdapter {
+  static DB_NAME = 'ECommerceMockBackendDB';
+  static DB_VERSION = 1;
+  static STORES = {
+    USERS: 'users',
+    STORIES: 'stories',
+    SUBSCRIPTIONS: 'subscriptions'
+  };
+  static TOKEN_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+  constructor({ latency = 150 } = {}) {
+    this.name = 'mock';
+    this.latency = latency;
+    // See updateStory and deleteStory
+    this.supportsStoryEdits = true;
+    this.db = null;
+  }
+
+  async fetch(endpoint, config = {}) {
+    await this.delay();
+
+    const url = new URL(endpoint, 'http://mock.local');
+    const method = (config.method || 'GET').toUpperCase();
+    const path = url.pathname;
+
+    try {
+      await this.open();
+
+      if (method === 'POST' && path === '/register') {
+        return await this.register(this.parseJson(config.body));
+      }
+      if (method === 'POST' && path === '/login') {
+        return await this.login(this.parseJson(config.body));
+      }
+      if (method === 'POST' && path === '/stories/guest') {
+        return await this.addStory(config.body, null);
+      }
+      if (path === '/notifications/subscribe') {
+        const user = await this.authenticate(config.headers);
+        return method === 'DELETE'
+          ? await this.unsubscribe(user, this.parseJson(config.body))
+          : await this.subscribe(user, this.parseJson(config.body));
+      }
+      if (path === '/stories') {
+        const user = await this.authenticate(config.headers);
+        return method === 'POST'
+          ? await this.addStory(config.body, user)
+          : await this.getStories(url.searchParams, config.headers);
+      }
+      if (path.startsWith('/stories/')) {
+        await this.authenticate(config.headers);
+        const id = decodeURIComponent(path.substring('/stories/'.length));
+        if (method === 'GET') {
+          return await this.getStory(id);
+        }
+        if (method === 'PUT') {
+          return await this.updateStory(id, config.body);
+        }
+        if (method === 'DELETE') {
+          return await this.deleteStory(id);
+        }
+      }
+
+      return this.respond(404, { error: true, message: 'Not Found' });
+    } catch (error) {
+      if (error.response) {
+        return error.response;
+      }
+      console.error('Mock backend error:', error);
+      return this.respond(500, { error: true, message: error.message || 'Internal Server Error' });
+    }
+  }
+
+  // ENDPOINTS
+
+  async register({ name, email, password } = {}) {
+    if (!name || !email || !password) {
+      return this.respond(400, { error: true, message: '"name", "email" and "password" are required' });
+    }
+    if (password.length < 8) {
+      return this.respond(400, { error: true, message: 'Password must be at least 8 characters long' });
+    }
+
+    const existing = await this.getByIndex(MockAdapter.STORES.USERS, 'email', email);
+    if (existing) {
+      return this.respond(400, { error: true, message: 'Email is already taken' });
+    }
+
+    await this.put(MockAdapter.STORES.USERS, {
+      id: this.generateId('user'),
+      name,
+      email,
+      password,
+      createdAt: new Date().toISOString()
+    });
+
+    return this.respond(201, { error: false, message: 'User Created' });
+  }
+
+  async login({ email, password } = {}) {
+    const user = await this.getByIndex(MockAdapter.STORES.USERS, 'email', email);
+    if (!user) {
+      return this.respond(404, { error: true, message: 'User not found' });
+    }
+    if (user.password !== password) {
+      return this.respond(401, { error: true, message: 'Invalid password' });
+    }
+
+    return this.respond(200, {
+      error: false,
+      message: 'success',
+      loginResult: {
+        userId: user.id,
+        name: user.name,
+        token: this.createToken(user)
+      }
+    });
+  }
+
+  async getStories(searchParams, headers = {}) {
+    let stories = await this.getAll(MockAdapter.STORES.STORIES);
+    stories.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    if (searchParams.get('location') === '1') {
+      stories = stories.filter((story) => story.lat !== null && story.lon !== null);
+    }
+
+    const page = parseInt(searchParams.get('page'), 10);
+    const size = parseInt(searchParams.get('size'), 10);
+    if (page > 0 && size > 0) {
+      stories = stories.slice((page - 1) * size, page * size);
+    }
+
+    // Validator over the page contents, like a real server would send;
+    // edited stories carry a new updatedAt, so they change it too
+    const etag = `W/"${this.hash(
+      stories.map((story) => `${story.id}@${story.updatedAt || story.createdAt}`).join(',')
+    )}"`;
+    if (headers['If-None-Match'] === etag) {
+      return new Response(null, { status: 304, headers: { ETag: etag } });
+    }
+
+    return this.respond(200, {
+      error: false,
+      message: 'Stories fetched successfully',
+      listStory: stories
+    }, { ETag: etag });
+  }
+
+  async getStory(id) {
+    const story = await this.get(MockAdapter.STORES.STORIES, id);
+    if (!story) {
+      return this.respond(404, { error: true, message: 'Story not found' });
+    }
+    return this.respond(200, { error: false, message: 'Story fetched successfully', story });
+  }
+
+  async addStory(body, user) {
+    if (!(body instanceof FormData)) {
+      return this.respond(400, { error: true, message: 'Request must be multipart/form-data' });
+    }
+
+    const description = body.get('description');
+    const photo = body.get('photo');
+    if (!description) {
+      return this.respond(400, { error: true, message: '"description" is required' });
+    }
+    if (!(photo instanceof Blob)) {
+      return this.respond(400, { error: true, message: '"photo" is required' });
+    }
+    if (photo.size > 1024 * 1024) {
+      return this.respond(413, { error: true, message: 'Payload content length greater than maximum allowed: 1000000' });
+    }
+
+    const lat = body.get('lat');
+    const lon = body.get('lon');
+    const story = {
+      id: this.generateId('story'),
+      name: user ? user.name : 'Guest',
+      description,
+      photoUrl: await this.blobToDataUrl(photo),
+      createdAt: new Date().toISOString(),
+      lat: lat !== null ? parseFloat(lat) : null,
+      lon: lon !== null ? parseFloat(lon) : null
+    };
+
+    await this.put(MockAdapter.STORES.STORIES, story);
+
+    // The live API only answers "success"; the mock also returns the new id
+    return this.respond(201, { error: false, message: 'success', data: { id: story.id } });
+  }
+
+  // Not part of the live API: replaces the description and location, and
+  // the photo when one is sent
+  async updateStory(id, body) {
+    const story = await this.get(MockAdapter.STORES.STORIES, id);
+    if (!story) {
+      return this.respond(404, { error: true, message: 'Story not found' });
+    }
+    if (!(body instanceof FormData)) {
+      return this.respond(400, { error: true, message: 'Request must be multipart/form-data' });
+    }
+
+    const description = body.get('description');
+    const photo = body.get('photo');
+    if (!description) {
+      return this.respond(400, { error: true, message: '"description" is required' });
+    }
+    if (photo instanceof Blob && photo.size > 1024 * 1024) {
+      return this.respond(413, { error: true, message: 'Payload content length greater than maximum allowed: 1000000' });
+    }
+
+    const lat = body.get('lat');
+    const lon = body.get('lon');
+    const updated = {
+      ...story,
+      description,
+      photoUrl: photo instanceof Blob ? await this.blobToDataUrl(photo) : story.photoUrl,
+      lat: lat !== null ? parseFloat(lat) : null,
+      lon: lon !== null ? parseFloat(lon) : null,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.put(MockAdapter.STORES.STORIES, updated);
+    return this.respond(200, { error: false, message: 'success', story: updated });
+  }
+
+  // Not part of the live API
+  async deleteStory(id) {
+    const story = await this.get(MockAdapter.STORES.STORIES, id);
+    if (!story) {
+      return this.respond(404, { error: true, message: 'Story not found' });
+    }
+
+    await this.delete(MockAdapter.STORES.STORIES, id);
+    return this.respond(200, { error: false, message: 'success' });
+  }
+
+  async subscribe(user, { subscription } = {}) {
+    if (!subscription || !subscription.endpoint) {
+      return this.respond(400, { error: true, message: '"endpoint" is required' });
+    }
+
+    const record = {
+      id: subscription.endpoint,
+      endpoint: subscription.endpoint,
+      keys: subscription.keys || {},
+      userId: user.id,
+      createdAt: new Date().toISOString()
+    };
+    await this.put(MockAdapter.STORES.SUBSCRIPTIONS, record);
+
+    return this.respond(200, {
+      error: false,
+      message: 'Success to subscribe web push notification.',
+      data: record
+    });
+  }
+
+  async unsubscribe(user, { endpoint } = {}) {
+    if (endpoint) {
+      await this.delete(MockAdapter.STORES.SUBSCRIPTIONS, endpoint);
+    }
+    return this.respond(200, { error: false, message: 'Success to unsubscribe web push notification.' });
+  }
+
+  // AUTH HELPERS
+
+  // Unsigned JWT-shaped token so clients can read its claims like a real one
+  createToken(user) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const header = this.base64UrlEncode({ alg: 'none', typ: 'JWT' });
+    const payload = this.base64UrlEncode({
+      id: user.id,
+      name: user.name,
+      iat: issuedAt,
+      exp: issuedAt + MockAdapter.TOKEN_TTL / 1000
+    });
+    return `${header}.${payload}.mock`;
+  }
+
+  async authenticate(headers = {}) {
+    const authorization = headers.Authorization || headers.authorization || '';
+    const token = authorization.replace(/^Bearer\s+/i, '');
+
+    let claims = null;
+    try {
+      claims = JSON.parse(this.base64UrlDecode(token.split('.')[1] || ''));
+    } catch (error) {
+      claims = null;
+    }
+
+    const user = claims ? await this.get(MockAdapter.STORES.USERS, claims.id) : null;
+    if (!user || claims.exp * 1000 < Date.now()) {
+      const error = new Error('Unauthorized');
+      error.response = this.respond(401, { error: true, message: 'Missing authentication' });
+      throw error;
+    }
+
+    return user;
+  }
+
+  // INDEXEDDB HELPERS
+
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(MockAdapter.DB_NAME, MockAdapter.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(MockAdapter.STORES.USERS)) {
+          const users = db.createObjectStore(MockAdapter.STORES.USERS, { keyPath: 'id' });
+          users.createIndex('email', 'email', { unique: true });
+        }
+        if (!db.objectStoreNames.contains(MockAdapter.STORES.STORIES)) {
+          const stories = db.createObjectStore(MockAdapter.STORES.STORIES, { keyPath: 'id' });
+          stories.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(MockAdapter.STORES.SUBSCRIPTIONS)) {
+          const subscriptions = db.createObjectStore(MockAdapter.STORES.SUBSCRIPTIONS, { keyPath: 'id' });
+          subscriptions.createIndex('userId', 'userId', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        console.log('Mock backend database ready');
+        resolve(this.db);
+      };
+
+      request.onerror = () => {
+        console.error('Mock backend database error:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  run(storeName, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], mode);
+      const request = operation(transaction.objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  get(storeName, key) {
+    return this.run(storeName, 'readonly', (store) => store.get(key));
+  }
+
+  getAll(storeName) {
+    return this.run(storeName, 'readonly', (store) => store.getAll());
+  }
+
+  getByIndex(storeName, indexName, value) {
+    return this.run(storeName, 'readonly', (store) => store.index(indexName).get(value));
+  }
+
+  put(storeName, value) {
+    return this.run(storeName, 'readwrite', (store) => store.put(value));
+  }
+
+  delete(storeName, key) {
+    return this.run(storeName, 'readwrite', (store) => store.delete(key));
+  }
+
+  // UTILITIES
+
+  respond(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...headers }
+    });
+  }
+
+  parseJson(body) {
+    if (!body || typeof body !== 'string') {
+      return {};
+    }
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  base64UrlEncode(value) {
+    const bytes = new TextEncoder().encode(JSON.stringify(value));
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  base64UrlDecode(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+  }
+
+  // Small string hash (djb2) for ETags
+  hash(value) {
+    let hash = 5381;
+    for (let i = 0; i < value.length; i++) {
+      hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  generateId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 8)}`;
+  }
+
+  delay() {
+    return new Promise((resolve) => setTimeout(resolve, this.latency));
+  }
+}
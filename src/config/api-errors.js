@@ -0,0 +1,82 @@
+// Error types thrown by ApiService and SyncService. Views branch on these
+// with instanceof instead of matching on message text.
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.cause = cause;
+  }
+}
+
+// The request never got a response (DNS, CORS, dropped connection, timeout)
+export class NetworkError extends ApiError {
+  constructor(message = 'Network error', { timedOut = false, ...details } = {}) {
+    super(message, details);
+    this.name = 'NetworkError';
+    this.timedOut = timedOut;
+  }
+}
+
+// The browser is offline, so the request was not attempted or could not finish
+export class OfflineError extends NetworkError {
+  constructor(message = 'You are offline. Please check your internet connection.', details = {}) {
+    super(message, details);
+    this.name = 'OfflineError';
+  }
+}
+
+// 401/403 - missing, invalid or expired token
+export class AuthError extends ApiError {
+  constructor(message = 'Authentication required', details = {}) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+// 400/413/422 - the server rejected the input. `fields` maps a field name
+// ("photo", "description", ...) to the message about it.
+export class ValidationError extends ApiError {
+  constructor(message = 'Invalid request', { fields = {}, ...details } = {}) {
+    super(message, details);
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+// 409 - the server copy changed since the local one was based on it.
+// `conflict` holds both versions when SyncService detected it itself.
+export class ConflictError extends ApiError {
+  constructor(message = 'Conflicting changes', { conflict = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'ConflictError';
+    this.conflict = conflict;
+  }
+}
+
+// The backend has no endpoint for the request, e.g. editing or deleting a
+// story on the live Story API
+export class UnsupportedError extends ApiError {
+  constructor(message = 'Not supported by this server', details = {}) {
+    super(message, details);
+    this.name = 'UnsupportedError';
+  }
+}
+
+// 429 - retryAfter is in milliseconds when the server sent Retry-After
+export class RateLimitError extends ApiError {
+  constructor(message = 'Too many requests', { retryAfter = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 5xx
+export class ServerError extends ApiError {
+  constructor(message = 'Server error', details = {}) {
+    super(message, details);
+    this.name = 'ServerError';
+  }
+}
@@ -0,0 +1,71 @@
+import { AuthService } from '../utils/auth.js';
+import { AuthError } from './api-errors.js';
+
+// Default middleware for ApiService.request.
+//   request:  (request) => request       - may change endpoint/options
+//   response: (data, request) => data    - may reshape the parsed body
+//   error:    (error, request) => void   - observes failures; the error is
+//                                           rethrown to the caller afterwards
+// `request` is { endpoint, options, auth, startedAt }; auth is false for
+// calls made with { auth: false } (login, register).
+export class ApiInterceptors {
+  static injectAuthHeader(request) {
+    if (!request.auth) {
+      return request;
+    }
+
+    const token = AuthService.getToken();
+    if (token && !request.options.headers.Authorization) {
+      request.options.headers.Authorization = `Bearer ${token}`;
+    }
+    return request;
+  }
+
+  static logRequest(request) {
+    if (import.meta.env.DEV) {
+      console.log(`[API] ${request.options.method || 'GET'} ${request.endpoint}`);
+    }
+    return request;
+  }
+
+  // The live API answers with `listStory` while offline fallbacks used
+  // `data.listStory`; callers only ever see the top-level one
+  static normalizeResponse(data) {
+    if (data && !data.listStory && data.data && Array.isArray(data.data.listStory)) {
+      const { listStory, ...rest } = data.data;
+      const normalized = { ...data, listStory };
+      if (Object.keys(rest).length > 0) {
+        normalized.data = rest;
+      } else {
+        delete normalized.data;
+      }
+      return normalized;
+    }
+    return data;
+  }
+
+  static logResponse(data, request) {
+    if (import.meta.env.DEV) {
+      const duration = Math.round(performance.now() - request.startedAt);
+      console.log(`[API] ${request.options.method || 'GET'} ${request.endpoint} done in ${duration}ms`);
+    }
+    return data;
+  }
+
+  // A rejected token ends the session everywhere, not just in the view that
+  // made the call. The token check keeps parallel 401s from redirecting
+  // more than once, and keeps a sync still finishing for the previous
+  // account from logging out the one the user switched to.
+  static handleUnauthorized(error, request) {
+    const token = AuthService.getToken();
+    if (
+      error instanceof AuthError &&
+      request.auth &&
+      token &&
+      request.options.headers.Authorization === `Bearer ${token}`
+    ) {
+      console.log('Session rejected by the server - logging out');
+      AuthService.redirectToLogin(undefined, { reason: 'expired' });
+    }
+  }
+}
@@ -1,5 +1,31 @@
+import { HttpAdapter } from './adapters/http-adapter.js';
+import { ApiInterceptors } from './api-interceptors.js';
+import { HttpCache } from './http-cache.js';
+import {
+  ApiError,
+  NetworkError,
+  OfflineError,
+  AuthError,
+  ValidationError,
+  ConflictError,
+  UnsupportedError,
+  RateLimitError,
+  ServerError
+} from './api-errors.js';
+
 export const API_CONFIG = {
   BASE_URL: 'https://story-api.dicoding.dev/v1',
+  // 'http' talks to BASE_URL, 'mock' uses the in-browser backend.
+  // Override per browser with ?backend=mock or ?backend=http (remembered).
+  BACKEND: import.meta.env.VITE_API_BACKEND || 'http',
+  // Defaults for ApiService.request; override per call with
+  // { timeout, retries } in the request options
+  REQUEST: {
+    TIMEOUT: 15000,
+    RETRIES: 2,
+    RETRY_BASE_DELAY: 500,
+    RETRY_MAX_DELAY: 10000
+  },
   ENDPOINTS: {
     REGISTER: '/register',
     LOGIN: '/login',
@@ -10,21 +36,177 @@ export const API_CONFIG = {
 };
 
 export class ApiService {
+  static adapterPromise = null;
+  // Identical GETs currently on the wire, keyed by getRequestKey()
+  static inFlightRequests = new Map();
+
+  // Run in order around every request; see api-interceptors.js
+  static interceptors = {
+    request: [ApiInterceptors.injectAuthHeader, ApiInterceptors.logRequest],
+    response: [ApiInterceptors.normalizeResponse, ApiInterceptors.logResponse],
+    error: [ApiInterceptors.handleUnauthorized]
+  };
+
+  // Add an interceptor ('request', 'response' or 'error'); returns a
+  // function that removes it again
+  static useInterceptor(type, interceptor) {
+    this.interceptors[type].push(interceptor);
+    return () => {
+      this.interceptors[type] = this.interceptors[type].filter((item) => item !== interceptor);
+    };
+  }
+
+  // Use a specific backend adapter (anything with fetch(endpoint, config) -> Response)
+  static setAdapter(adapter) {
+    this.adapterPromise = Promise.resolve(adapter);
+  }
+
+  static getAdapter() {
+    if (!this.adapterPromise) {
+      this.adapterPromise = this.createAdapter(this.getBackendName());
+    }
+    return this.adapterPromise;
+  }
+
+  static async createAdapter(name) {
+    if (name === 'mock') {
+      // Loaded on demand so the mock never ships in the main chunk
+      const { MockAdapter } = await import('./adapters/mock-adapter.js');
+      console.log('Using mock backend adapter');
+      return new MockAdapter();
+    }
+    return new HttpAdapter(API_CONFIG.BASE_URL);
+  }
+
+  static getBackendName() {
+    const flag = new URLSearchParams(window.location.search).get('backend');
+    if (flag === 'mock' || flag === 'http') {
+      localStorage.setItem('apiBackend', flag);
+      return flag;
+    }
+    return localStorage.getItem('apiBackend') || API_CONFIG.BACKEND;
+  }
+
+  // Options besides the fetch ones:
+  //   auth    - false skips the auth header and global 401 handling
+  //   timeout - ms before the attempt is aborted (0 disables it)
+  //   retries - extra attempts; GETs retry by default, other methods don't
+  //   signal  - AbortSignal (see createCancelHandle) to cancel the request
   static async request(endpoint, options = {}) {
-    const url = `${API_CONFIG.BASE_URL}${endpoint}`;
-    
+    const { auth = true, ...requestOptions } = options;
+    let request = {
+      endpoint,
+      options: { ...requestOptions, headers: { ...requestOptions.headers } },
+      auth,
+      startedAt: performance.now()
+    };
+
+    for (const interceptor of this.interceptors.request) {
+      request = (await interceptor(request)) || request;
+    }
+
+    if (!this.isCacheableRequest(request)) {
+      return this.execute(request);
+    }
+
+    // Callers asking for the same GET while it is in flight share one
+    // network request. It runs without any caller's signal so cancelling
+    // one caller doesn't abort the others.
+    const key = this.getRequestKey(request);
+    let pending = this.inFlightRequests.get(key);
+    if (!pending) {
+      const { signal, ...sharedOptions } = request.options;
+      pending = this.execute({ ...request, options: sharedOptions }, key).finally(() => {
+        this.inFlightRequests.delete(key);
+      });
+      this.inFlightRequests.set(key, pending);
+    }
+    return this.withSignal(pending, request.options.signal);
+  }
+
+  // Runs one request through send() and the response/error interceptors
+  static async execute(request, cacheKey = null) {
+    try {
+      let data = await this.send(request.endpoint, request.options, { cacheKey });
+      for (const interceptor of this.interceptors.response) {
+        data = await interceptor(data, request);
+      }
+      return data;
+    } catch (error) {
+      if (!this.isAbortError(error)) {
+        for (const interceptor of this.interceptors.error) {
+          try {
+            await interceptor(error, request);
+          } catch (interceptorError) {
+            console.error('Error in API error interceptor:', interceptorError);
+          }
+        }
+      }
+      throw error;
+    }
+  }
+
+  static isCacheableRequest(request) {
+    const method = (request.options.method || 'GET').toUpperCase();
+    return method === 'GET' && !request.options.body;
+  }
+
+  // The token is part of the key so users never share cached responses
+  static getRequestKey(request) {
+    return `${request.endpoint}|${request.options.headers.Authorization || ''}`;
+  }
+
+  // Settle with `promise`, or reject early when `signal` aborts
+  static withSignal(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new DOMException('Request aborted', 'AbortError'));
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort);
+      });
+    });
+  }
+
+  // Performs the request itself: timeouts, retries and error mapping.
+  // With a cacheKey the request is made conditional on the cached copy.
+  static async send(endpoint, options = {}, { cacheKey = null } = {}) {
+    const {
+      timeout = API_CONFIG.REQUEST.TIMEOUT,
+      retries,
+      signal,
+      ...fetchOptions
+    } = options;
+    const isGetRequest = !fetchOptions.method || fetchOptions.method.toUpperCase() === 'GET';
+    // Only idempotent requests are retried unless the caller opts in
+    const maxRetries = retries !== undefined
+      ? retries
+      : isGetRequest ? API_CONFIG.REQUEST.RETRIES : 0;
+
     // Handle FormData (no Content-Type for multipart/form-data)
-    const isFormData = options.body instanceof FormData;
+    const isFormData = fetchOptions.body instanceof FormData;
     const headers = isFormData 
-      ? { ...options.headers }
+      ? { ...fetchOptions.headers }
       : { 
           'Content-Type': 'application/json',
-          ...options.headers 
+          ...fetchOptions.headers 
         };
 
+    if (cacheKey) {
+      Object.assign(headers, HttpCache.getConditionalHeaders(cacheKey));
+    }
+
     const config = {
-      headers,
-      ...options
+      ...fetchOptions,
+      headers
     };
 
     // Convert body to JSON if it's not FormData
@@ -33,26 +215,66 @@ export class ApiService {
     }
 
     try {
-      const response = await fetch(url, config);
+      const adapter = await this.getAdapter();
+      let response;
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          response = await this.fetchWithTimeout(adapter, endpoint, config, { timeout, signal });
+        } catch (error) {
+          // Timeouts and network failures are retried, cancellation is not
+          if (this.isAbortError(error) || attempt >= maxRetries || !navigator.onLine) {
+            throw error;
+          }
+          console.log(`Request to ${endpoint} failed (${error.message}), retrying...`);
+          await this.wait(this.getRetryDelay(attempt), signal);
+          continue;
+        }
+
+        if (!this.isRetryableStatus(response.status) || attempt >= maxRetries || !navigator.onLine) {
+          break;
+        }
+
+        const delay = this.getRetryDelay(attempt, response.headers.get('Retry-After'));
+        if (delay === null) {
+          break;
+        }
+        console.log(`Request to ${endpoint} returned ${response.status}, retrying in ${Math.round(delay)}ms`);
+        await this.wait(delay, signal);
+      }
       
+      // Unchanged since the cached copy: reuse it without a download
+      if (response.status === 304 && cacheKey && HttpCache.get(cacheKey)) {
+        return { ...HttpCache.get(cacheKey).data, notModified: true };
+      }
+
       // Check if response is from service worker offline mode
-      if (response.status === 503 || response.status === 408) {
+      if (isGetRequest && (response.status === 503 || response.status === 408)) {
         const offlineData = await this.createOfflineResponse();
         return offlineData;
       }
       
-      const data = await response.json();
+      // Error pages (proxies, the service worker) are not always JSON
+      const data = await response.json().catch(() => ({}));
       
       if (!response.ok) {
-        throw new Error(data.message || `Request failed with status ${response.status}`);
+        throw this.createHttpError(response, data);
+      }
+
+      if (cacheKey) {
+        HttpCache.store(cacheKey, response, data);
       }
       
       return data;
     } catch (error) {
+      // Cancelled by the caller (e.g. the view was destroyed)
+      if (this.isAbortError(error)) {
+        throw error;
+      }
+
       console.error('API request failed:', error);
       
       // Check if we're offline and this is a GET request
-      const isGetRequest = !options.method || options.method === 'GET';
       const isOffline = !navigator.onLine;
       
       if (isOffline && isGetRequest) {
@@ -60,29 +282,195 @@ export class ApiService {
         return this.createOfflineResponse();
       }
       
-      // For POST requests or when online but network failed, throw the error
-      throw new Error(error.message || 'Network error');
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      // No response at all: the adapter's fetch failed
+      if (isOffline) {
+        throw new OfflineError(undefined, { cause: error });
+      }
+      throw new NetworkError(error.message || 'Network error', { cause: error });
+    }
+  }
+
+  // Map a failed HTTP response to the matching ApiError subclass
+  static createHttpError(response, data = {}) {
+    const status = response.status;
+    const message = data.message || `Request failed with status ${status}`;
+    const details = { status, data };
+
+    if (status === 401 || status === 403) {
+      return new AuthError(message, details);
+    }
+    if (status === 409) {
+      return new ConflictError(message, details);
+    }
+    if (status === 429) {
+      return new RateLimitError(message, {
+        ...details,
+        retryAfter: this.parseRetryAfter(response.headers.get('Retry-After'))
+      });
+    }
+    if (status === 400 || status === 413 || status === 422) {
+      return new ValidationError(message, {
+        ...details,
+        fields: this.parseFieldErrors(status, message)
+      });
+    }
+    if (status >= 500) {
+      return new ServerError(message, details);
+    }
+    return new ApiError(message, details);
+  }
+
+  // The Story API names the offending field in quotes ('"photo" is required');
+  // 413 is always the photo being too large
+  static parseFieldErrors(status, message) {
+    const fields = {};
+    if (status === 413) {
+      fields.photo = message;
+    }
+    for (const [, field] of message.matchAll(/"(\w+)"/g)) {
+      fields[field] = message;
+    }
+    return fields;
+  }
+
+  // One attempt, aborted after `timeout` ms or when `signal` aborts. Racing
+  // the abort also covers adapters that ignore config.signal (the mock).
+  static async fetchWithTimeout(adapter, endpoint, config, { timeout, signal } = {}) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
     }
+
+    const aborted = new Promise((resolve, reject) => {
+      const rejectAbort = () => reject(new DOMException('Request aborted', 'AbortError'));
+      if (controller.signal.aborted) {
+        rejectAbort();
+      } else {
+        controller.signal.addEventListener('abort', rejectAbort, { once: true });
+      }
+    });
+
+    try {
+      return await Promise.race([
+        adapter.fetch(endpoint, { ...config, signal: controller.signal }),
+        aborted
+      ]);
+    } catch (error) {
+      if (timedOut) {
+        throw new NetworkError(`Request timed out after ${timeout}ms`, { timedOut: true });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  static isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+  }
+
+  // Exponential backoff with full jitter. A Retry-After header wins; null
+  // means the server asked for longer than we are willing to wait.
+  static getRetryDelay(attempt, retryAfter = null) {
+    const { RETRY_BASE_DELAY, RETRY_MAX_DELAY } = API_CONFIG.REQUEST;
+
+    const delay = this.parseRetryAfter(retryAfter);
+    if (delay !== null) {
+      return delay > RETRY_MAX_DELAY ? null : delay;
+    }
+
+    return Math.random() * Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+  }
+
+  // Retry-After is either seconds or an HTTP date; returns ms or null
+  static parseRetryAfter(retryAfter) {
+    if (!retryAfter) {
+      return null;
+    }
+
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds)
+      ? new Date(retryAfter).getTime() - Date.now()
+      : seconds * 1000;
+
+    return Number.isNaN(delay) ? null : Math.max(0, delay);
+  }
+
+  static wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new DOMException('Request aborted', 'AbortError'));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Request aborted', 'AbortError'));
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Handle for cancelling in-flight requests: pass `signal` in the request
+  // options and call cancel() (typically from a view's destroy())
+  static createCancelHandle() {
+    const controller = new AbortController();
+    return {
+      signal: controller.signal,
+      cancel: () => controller.abort(),
+      get cancelled() {
+        return controller.signal.aborted;
+      }
+    };
+  }
+
+  static isAbortError(error) {
+    return !!error && error.name === 'AbortError';
   }
 
   static createOfflineResponse() {
     return {
       error: false,
       message: 'offline',
-      data: { listStory: [] },
+      listStory: [],
       offline: true,
       timestamp: new Date().toISOString()
     };
   }
 
-  static async getStories(token, location = 0) {
-    const endpoint = `${API_CONFIG.ENDPOINTS.STORIES}?location=${location}`;
+  static async getStories(location = 0, { page, size, signal } = {}) {
+    const params = new URLSearchParams({ location });
+    if (page) params.set('page', page);
+    if (size) params.set('size', size);
+
+    const endpoint = `${API_CONFIG.ENDPOINTS.STORIES}?${params.toString()}`;
     try {
-      const result = await this.request(endpoint, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      const result = await this.request(endpoint, { signal });
       
       // Handle offline response
       if (this.isOfflineResponse(result)) {
@@ -92,6 +480,9 @@ export class ApiService {
       
       return result;
     } catch (error) {
+      if (this.isAbortError(error)) {
+        throw error;
+      }
       // If we're offline, return offline structure
       if (!navigator.onLine) {
         return this.createOfflineResponse();
@@ -100,42 +491,103 @@ export class ApiService {
     }
   }
 
-  static async addStory(token, formData) {
+  static async getStory(id, { signal, token } = {}) {
+    const endpoint = `${API_CONFIG.ENDPOINTS.STORIES}/${encodeURIComponent(id)}`;
+    return this.request(endpoint, { signal, headers: this.authHeaders(token) });
+  }
+
+  // Sync runs pass the token of the account they started for, which may no
+  // longer be the active one; everyone else gets the active account's
+  static authHeaders(token) {
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  static async addStory(formData, { token } = {}) {
     // Don't cache POST requests - always try to send when online
     if (!navigator.onLine) {
-      throw new Error('Cannot add story while offline. Please check your internet connection.');
+      throw new OfflineError('Cannot add story while offline. Please check your internet connection.');
     }
     
     return this.request(API_CONFIG.ENDPOINTS.STORIES, {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`
-      },
-      body: formData
+      body: formData,
+      headers: this.authHeaders(token)
+    });
+  }
+
+  // Whether the backend can edit and delete stories (only the mock can)
+  static async supportsStoryEdits() {
+    const adapter = await this.getAdapter();
+    return adapter.supportsStoryEdits === true;
+  }
+
+  static async updateStory(id, formData, { token } = {}) {
+    if (!navigator.onLine) {
+      throw new OfflineError('Cannot update story while offline. Please check your internet connection.');
+    }
+    if (!(await this.supportsStoryEdits())) {
+      throw new UnsupportedError('This server does not support editing products');
+    }
+
+    return this.request(`${API_CONFIG.ENDPOINTS.STORIES}/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: formData,
+      headers: this.authHeaders(token)
+    });
+  }
+
+  static async deleteStory(id, { token } = {}) {
+    if (!navigator.onLine) {
+      throw new OfflineError('Cannot delete story while offline. Please check your internet connection.');
+    }
+    if (!(await this.supportsStoryEdits())) {
+      throw new UnsupportedError('This server does not support deleting products');
+    }
+
+    return this.request(`${API_CONFIG.ENDPOINTS.STORIES}/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+      headers: this.authHeaders(token)
     });
   }
 
   static async login(email, password) {
     // Don't cache login requests
     if (!navigator.onLine) {
-      throw new Error('Cannot login while offline. Please check your internet connection.');
+      throw new OfflineError('Cannot login while offline. Please check your internet connection.');
     }
     
     return this.request(API_CONFIG.ENDPOINTS.LOGIN, {
       method: 'POST',
-      body: { email, password }
+      body: { email, password },
+      // A 401 here means wrong credentials, not an expired session
+      auth: false
     });
   }
 
   static async register(name, email, password) {
     // Don't cache register requests
     if (!navigator.onLine) {
-      throw new Error('Cannot register while offline. Please check your internet connection.');
+      throw new OfflineError('Cannot register while offline. Please check your internet connection.');
     }
     
     return this.request(API_CONFIG.ENDPOINTS.REGISTER, {
       method: 'POST',
-      body: { name, email, password }
+      body: { name, email, password },
+      auth: false
+    });
+  }
+
+  static async subscribeNotification(subscription) {
+    return this.request(API_CONFIG.ENDPOINTS.NOTIFICATIONS, {
+      method: 'POST',
+      body: { subscription }
+    });
+  }
+
+  static async unsubscribeNotification(endpoint) {
+    return this.request(API_CONFIG.ENDPOINTS.NOTIFICATIONS, {
+      method: 'DELETE',
+      body: { endpoint }
     });
   }
 
@@ -0,0 +1,47 @@
+// In-memory store of GET responses with their validators (ETag /
+// Last-Modified). ApiService sends them back as If-None-Match /
+// If-Modified-Since and reuses the stored body when the server answers 304.
+export class HttpCache {
+  static MAX_ENTRIES = 50;
+  static entries = new Map();
+
+  static get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  // Only responses that carry a validator are worth keeping
+  static store(key, response, data) {
+    const etag = response.headers.get('ETag');
+    const lastModified = response.headers.get('Last-Modified');
+
+    if (!etag && !lastModified) {
+      this.entries.delete(key);
+      return;
+    }
+
+    // Re-insert so the most recently used entry is evicted last
+    this.entries.delete(key);
+    this.entries.set(key, { etag, lastModified, data });
+
+    while (this.entries.size > this.MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  static getConditionalHeaders(key) {
+    const entry = this.get(key);
+    const headers = {};
+
+    if (entry && entry.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    if (entry && entry.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+    return headers;
+  }
+
+  static clear() {
+    this.entries.clear();
+  }
+}
@@ -2,11 +2,17 @@
 import { App } from './app.js';
 import { PwaService } from './utils/pwa-service.js';
 import { SyncService } from './utils/sync-service.js';
+import { AuthService } from './utils/auth.js';
 
 // Check if we're in development
 const isDevelopment = window.location.hostname === 'localhost' || 
                      window.location.hostname === '127.0.0.1';
 
+// Routing mode: "hash" (default) or "history" for clean URLs (set VITE_ROUTER_MODE)
+const routerMode = import.meta.env.VITE_ROUTER_MODE || 'hash';
+// Base path the app is deployed under, e.g. "/ecommerce-app/" on GitHub Pages
+const basePath = import.meta.env.BASE_URL || '/';
+
 let app = null;
 
 // Initialize the application when DOM is loaded
@@ -20,9 +26,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Initialize Sync Service (IndexedDB)
     await SyncService.init();
+
+    // Watch the login session so it ends on time, not on the next failed request
+    AuthService.startSessionMonitor();
     
     // Then initialize the main app
-    app = new App();
+    app = new App({ mode: routerMode, basePath });
     await app.init();
     
     // Initialize service worker for push notifications and caching
@@ -63,8 +72,8 @@ async function initializeServiceWorker() {
       console.log('Cleared old service workers for development');
     }
 
-    const registration = await navigator.serviceWorker.register('/sw.js', {
-      scope: '/',
+    const registration = await navigator.serviceWorker.register(`${basePath}sw.js`, {
+      scope: basePath,
       updateViaCache: 'none'
     });
     
@@ -257,10 +266,18 @@ if (isDevelopment) {
     window.location.reload();
   };
   
+  // Upgrade a throwaway database from an old schema version and check
+  // that no offline data was lost
+  window._checkMigrations = async (fromVersion) => {
+    const { IndexedDBMigrationCheck } = await import('./utils/indexeddb-migration-check.js');
+    return IndexedDBMigrationCheck.run(fromVersion);
+  };
+  
   console.log('Development helpers loaded. Use:');
   console.log('_clearAllCaches() - Clear all caches and data');
   console.log('_getCacheStatus() - Get cache status');
   console.log('_disableSW() - Disable Service Worker completely');
+  console.log('_checkMigrations(fromVersion) - Verify offline data survives a schema upgrade');
 }
 
 // Export for testing purposes
@@ -1,4 +1,18 @@
+import { NavigationService } from "./navigation-service.js";
+
 export class AuthService {
+  // Used when the token carries no "exp" claim
+  static SESSION_TTL = 24 * 60 * 60 * 1000; // 1 day
+  // "session_expiring" fires this long before the session ends
+  static EXPIRY_WARNING = 5 * 60 * 1000; // 5 minutes
+  static CHECK_INTERVAL = 30 * 1000;
+  // Sessions kept on this device for quick account switching
+  static MAX_ACCOUNTS = 5;
+
+  static sessionListeners = new Set();
+  static monitorInterval = null;
+  static expiryWarned = false;
+
   static getToken() {
     return localStorage.getItem("authToken");
   }
@@ -12,7 +26,7 @@ export class AuthService {
   }
 
   static isAuthenticated() {
-    return !!this.getToken();
+    return !!this.getToken() && !this.isSessionExpired();
   }
 
   static getUserInfo() {
@@ -24,8 +38,263 @@ export class AuthService {
     localStorage.setItem("userInfo", JSON.stringify(user));
   }
 
+  static hasRole(role) {
+    const user = this.getUserInfo();
+    return !!user && Array.isArray(user.roles) && user.roles.includes(role);
+  }
+
+  // SESSION LIFECYCLE
+
+  // Store a freshly issued token and work out when it stops being valid
+  static startSession(token, user) {
+    const session = this.createSession(token);
+    this.activate({ token, user, session });
+    this.saveAccount({ token, user, session });
+
+    console.log(
+      "Session started, expires at",
+      new Date(this.getSession().expiresAt).toLocaleString()
+    );
+    this.notifyListeners("session_started", this.getSession());
+  }
+
+  // Make a stored session the one every request and view uses
+  static activate({ token, user, session }) {
+    this.setUserInfo(user);
+    this.setToken(token);
+    localStorage.setItem("authSession", JSON.stringify(session));
+    this.expiryWarned = false;
+  }
+
+  // { issuedAt, expiresAt } in ms, from the JWT claims when there are any
+  static createSession(token) {
+    const claims = this.decodeToken(token) || {};
+    const issuedAt = claims.iat ? claims.iat * 1000 : Date.now();
+    const expiresAt = claims.exp
+      ? claims.exp * 1000
+      : issuedAt + this.SESSION_TTL;
+
+    return { issuedAt, expiresAt };
+  }
+
+  static getSession() {
+    const token = this.getToken();
+    if (!token) return null;
+
+    const stored = localStorage.getItem("authSession");
+    if (stored) {
+      try {
+        return JSON.parse(stored);
+      } catch (error) {
+        console.warn("Invalid session data, rebuilding from token");
+      }
+    }
+
+    // Logged in before sessions were tracked
+    const session = this.createSession(token);
+    localStorage.setItem("authSession", JSON.stringify(session));
+    return session;
+  }
+
+  // Milliseconds left in the session (0 when expired, null when logged out)
+  static getSessionTimeRemaining() {
+    const session = this.getSession();
+    return session ? Math.max(0, session.expiresAt - Date.now()) : null;
+  }
+
+  static isSessionExpired() {
+    return this.getSessionTimeRemaining() === 0;
+  }
+
+  // Claims of a JWT, or null for tokens that aren't one
+  static decodeToken(token) {
+    try {
+      const payload = token.split(".")[1];
+      if (!payload) return null;
+
+      const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+      const binary = atob(
+        base64 + "=".repeat((4 - (base64.length % 4)) % 4)
+      );
+      const json = new TextDecoder().decode(
+        Uint8Array.from(binary, (char) => char.charCodeAt(0))
+      );
+      return JSON.parse(json);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Check the session periodically and whenever the tab becomes visible
+  // again (timers are throttled in background tabs)
+  static startSessionMonitor() {
+    if (this.monitorInterval) return;
+
+    this.monitorInterval = setInterval(
+      () => this.checkSession(),
+      this.CHECK_INTERVAL
+    );
+    document.addEventListener("visibilitychange", () => {
+      if (!document.hidden) {
+        this.checkSession();
+      }
+    });
+    this.checkSession();
+  }
+
+  static stopSessionMonitor() {
+    if (this.monitorInterval) {
+      clearInterval(this.monitorInterval);
+      this.monitorInterval = null;
+    }
+  }
+
+  static checkSession() {
+    const remaining = this.getSessionTimeRemaining();
+    if (remaining === null) return;
+
+    if (remaining === 0) {
+      this.expireSession();
+    } else if (remaining <= this.EXPIRY_WARNING && !this.expiryWarned) {
+      this.expiryWarned = true;
+      this.notifyListeners("session_expiring", { remaining });
+    }
+  }
+
+  static expireSession() {
+    console.log("Session expired");
+    this.notifyListeners("session_expired");
+    this.redirectToLogin(NavigationService.getCurrentPath(), {
+      reason: "expired",
+    });
+  }
+
   static logout() {
+    const wasLoggedIn = !!this.getToken();
+
+    const user = this.getUserInfo();
+    if (user) {
+      this.removeAccount(user.userId);
+    }
+
     this.removeToken();
     localStorage.removeItem("userInfo");
+    localStorage.removeItem("authSession");
+    this.expiryWarned = false;
+
+    if (wasLoggedIn) {
+      this.notifyListeners("session_ended");
+    }
+  }
+
+  // Drop the rejected session and send the user to login, returning to
+  // the current page afterwards. `reason` lets the login page explain why.
+  static redirectToLogin(
+    returnPath = NavigationService.getCurrentPath(),
+    { reason } = {}
+  ) {
+    this.logout();
+
+    if (returnPath.split("?")[0] === "/login") return;
+
+    const params = new URLSearchParams({ redirect: returnPath });
+    if (reason) {
+      params.set("reason", reason);
+    }
+    NavigationService.navigate(`/login?${params.toString()}`, {
+      replace: true,
+    });
+  }
+
+  // SAVED ACCOUNTS
+  // Every login is remembered as { token, user, session } so staff can move
+  // between seller accounts without typing passwords again. Logging out or
+  // an expired session forgets the account; an explicit logout through
+  // LogoutService forgets all of them and deletes their offline databases.
+
+  static getAccounts() {
+    try {
+      const accounts = JSON.parse(localStorage.getItem("authAccounts") || "[]");
+      return accounts.filter(
+        (account) => account.session.expiresAt > Date.now()
+      );
+    } catch (error) {
+      console.warn("Invalid saved accounts, clearing them");
+      localStorage.removeItem("authAccounts");
+      return [];
+    }
+  }
+
+  static saveAccount(account) {
+    const accounts = this.getAccounts().filter(
+      (saved) => saved.user.userId !== account.user.userId
+    );
+    // Most recently used first
+    accounts.unshift(account);
+    localStorage.setItem(
+      "authAccounts",
+      JSON.stringify(accounts.slice(0, this.MAX_ACCOUNTS))
+    );
+  }
+
+  static forgetAccounts() {
+    localStorage.removeItem("authAccounts");
+  }
+
+  static removeAccount(userId) {
+    localStorage.setItem(
+      "authAccounts",
+      JSON.stringify(
+        this.getAccounts().filter((account) => account.user.userId !== userId)
+      )
+    );
+  }
+
+  // Make another saved account the active one. Returns false when it is
+  // no longer saved (e.g. its session ran out in the meantime).
+  static switchAccount(userId) {
+    const account = this.getAccounts().find(
+      (saved) => saved.user.userId === userId
+    );
+    if (!account) return false;
+
+    const current = this.getUserInfo();
+    if (current && current.userId === userId) return true;
+
+    this.activate(account);
+    this.saveAccount(account);
+
+    console.log("Switched to account", account.user.name);
+    this.notifyListeners("session_started", account.session);
+    this.notifyListeners("account_switched", account.user);
+    return true;
+  }
+
+  // EVENT LISTENERS
+  // Events: session_started, session_expiring, session_expired,
+  // session_ended, account_switched
+
+  static addListener(event, callback) {
+    this.sessionListeners.add({ event, callback });
+  }
+
+  static removeListener(event, callback) {
+    this.sessionListeners.forEach((listener) => {
+      if (listener.event === event && listener.callback === callback) {
+        this.sessionListeners.delete(listener);
+      }
+    });
+  }
+
+  static notifyListeners(event, data = {}) {
+    this.sessionListeners.forEach((listener) => {
+      if (listener.event === event) {
+        try {
+          listener.callback(data);
+        } catch (error) {
+          console.error("Error in session listener:", error);
+        }
+      }
+    });
   }
 }
@@ -0,0 +1,188 @@
+import { IndexedDBService } from "./indexeddb-service.js";
+
+// Decides what happens when a product was edited on this device while its
+// server copy changed too. Both sides are compared with the base - the
+// server copy the local edit started from - field by field, so edits to
+// different fields can be combined. A strategy turns a conflict into a
+// pick of "local" or "server" per field, or null to leave it to the user.
+//
+// Versions are compared as snapshots: { name, description, lat, lon,
+// photoUrl, mediaId, version }, where description is without the
+// "name - " prefix the server stores.
+export class ConflictResolver {
+  static FIELDS = ["name", "description", "location", "photo"];
+  static FIELD_LABELS = {
+    name: "Name",
+    description: "Description",
+    location: "Location",
+    photo: "Photo",
+  };
+  // The chosen strategy is kept per account in user_data
+  static STRATEGY_KEY = "conflict_strategy";
+  static DEFAULT_STRATEGY = "merge";
+
+  static strategies = {
+    "server-wins": () => this.pickAll("server"),
+    "client-wins": () => this.pickAll("local"),
+    // Each side keeps the fields only it changed; a field both sides
+    // changed differently needs the user
+    merge: (conflict) => {
+      if (conflict.fields.length > 0) return null;
+
+      const localChanges = this.changes(conflict.base, conflict.local);
+      return Object.fromEntries(
+        this.FIELDS.map((field) => [
+          field,
+          localChanges.includes(field) ? "local" : "server",
+        ])
+      );
+    },
+    ask: () => null,
+  };
+
+  // resolve(conflict) returns { [field]: "local" | "server" } or null
+  static registerStrategy(name, resolve) {
+    this.strategies[name] = resolve;
+  }
+
+  // A sync run passes the database it is bound to
+  static async getStrategy(db = IndexedDBService) {
+    const name = await db.getUserData(this.STRATEGY_KEY);
+    return this.strategies[name] ? name : this.DEFAULT_STRATEGY;
+  }
+
+  static async setStrategy(name) {
+    if (!this.strategies[name]) {
+      throw new Error(`Unknown conflict strategy: ${name}`);
+    }
+    await IndexedDBService.saveUserData(this.STRATEGY_KEY, name);
+  }
+
+  static pickAll(side) {
+    return Object.fromEntries(this.FIELDS.map((field) => [field, side]));
+  }
+
+  // A stored product or cached server record as a snapshot
+  static snapshot(record) {
+    return {
+      name: record.name || "",
+      description: this.stripName(record.name, record.description),
+      lat: record.lat || null,
+      lon: record.lon || null,
+      photoUrl: record.photoUrl || null,
+      mediaId: record.mediaId || null,
+      version: record.serverUpdatedAt || null,
+    };
+  }
+
+  static stripName(name, description) {
+    if (name && description && description.startsWith(`${name} - `)) {
+      return description.slice(name.length + 3);
+    }
+    return description || "";
+  }
+
+  // The description as the server stores it
+  static joinDescription(name, description) {
+    if (!description || description === name) return name;
+    return `${name} - ${description}`;
+  }
+
+  // Comparable value of one field
+  static value(snapshot, field) {
+    switch (field) {
+      case "location":
+        return snapshot.lat && snapshot.lon
+          ? `${Number(snapshot.lat).toFixed(6)},${Number(snapshot.lon).toFixed(6)}`
+          : "";
+      case "photo":
+        return snapshot.mediaId
+          ? `media:${snapshot.mediaId}`
+          : snapshot.photoUrl || "";
+      default:
+        return snapshot[field] || "";
+    }
+  }
+
+  static changes(from, to) {
+    return this.FIELDS.filter(
+      (field) => this.value(from, field) !== this.value(to, field)
+    );
+  }
+
+  // Products created on this device only know their photo as a Blob, so
+  // the server's photo can only be compared when the base has its URL
+  static serverChanges(base, server) {
+    return this.changes(base, server).filter(
+      (field) =>
+        field !== "photo" ||
+        (base.photoUrl && base.photoUrl !== server.photoUrl)
+    );
+  }
+
+  // Null when the server copy is still the one the edit started from
+  static detect(base, local, server) {
+    if (base.version && base.version === server.version) return null;
+
+    const serverChanges = this.serverChanges(base, server);
+    if (serverChanges.length === 0) return null;
+
+    const localChanges = this.changes(base, local);
+    return {
+      base,
+      local,
+      server,
+      serverChanges,
+      // Changed on both sides, to different values
+      fields: serverChanges.filter(
+        (field) =>
+          localChanges.includes(field) &&
+          this.value(local, field) !== this.value(server, field)
+      ),
+      detectedAt: new Date().toISOString(),
+    };
+  }
+
+  static resolve(conflict, strategy = this.DEFAULT_STRATEGY) {
+    const resolve =
+      this.strategies[strategy] || this.strategies[this.DEFAULT_STRATEGY];
+    return resolve(conflict);
+  }
+
+  // Whether the picks keep anything the server doesn't have already
+  static keepsLocalChanges(conflict, picks) {
+    return this.changes(conflict.base, conflict.local).some(
+      (field) =>
+        picks[field] === "local" &&
+        this.value(conflict.local, field) !== this.value(conflict.server, field)
+    );
+  }
+
+  // The product fields the picks add up to
+  static merge(conflict, picks) {
+    const from = (field) =>
+      picks[field] === "local" ? conflict.local : conflict.server;
+    const localPhoto =
+      picks.photo === "local" &&
+      !!conflict.local.mediaId &&
+      conflict.local.mediaId !== conflict.base.mediaId;
+    // A stored copy of the original photo still shows the server's photo
+    // unless that changed
+    let mediaId = null;
+    if (localPhoto) {
+      mediaId = conflict.local.mediaId;
+    } else if (!conflict.serverChanges.includes("photo")) {
+      mediaId = conflict.base.mediaId;
+    }
+
+    return {
+      name: from("name").name,
+      description: from("description").description,
+      lat: from("location").lat,
+      lon: from("location").lon,
+      mediaId,
+      photoUrl: conflict.server.photoUrl || conflict.local.photoUrl,
+      photoChanged: localPhoto,
+    };
+  }
+}
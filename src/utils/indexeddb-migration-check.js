@@ -0,0 +1,227 @@
+import { IndexedDBService } from "./indexeddb-service.js";
+import { IndexedDBMigrations } from "./indexeddb-migrations.js";
+
+// Development check for schema migrations: builds a throwaway database at
+// an old version, fills it with fixture records, upgrades it through
+// IndexedDBService and verifies that every record survived.
+// Run it from the console with _checkMigrations() (see main.js).
+export class IndexedDBMigrationCheck {
+  static DB_NAME = `${IndexedDBService.DB_NAME}-migration-check`;
+  // Fields a migration moves elsewhere instead of keeping on the record
+  static MOVED_FIELDS = ["photo"];
+
+  // Records as the app wrote them at fromVersion
+  static fixture(fromVersion) {
+    const createdAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    // Photos were stored inline until version 6
+    const photo =
+      fromVersion < 6 ? { photo: "data:image/png;base64,iVBORw0KGgo=" } : {};
+
+    return {
+      [IndexedDBMigrations.STORES.PRODUCTS]: [
+        // Saved offline before products carried a "synced" flag
+        {
+          id: 1,
+          description: "Unsynced offline product",
+          ...photo,
+          lat: -6.2,
+          lon: 106.8,
+          local: true,
+          createdAt,
+        },
+        {
+          id: 2,
+          serverId: "story-fixture",
+          description: "Cached server product",
+          photoUrl: "https://example.com/photo.jpg",
+          createdAt,
+        },
+      ],
+      [IndexedDBMigrations.STORES.SYNC_QUEUE]: [
+        {
+          id: 1,
+          type: "ADD_PRODUCT",
+          data: {
+            localId: 1,
+            description: "Unsynced offline product",
+            ...photo,
+          },
+          timestamp: createdAt,
+        },
+      ],
+      [IndexedDBMigrations.STORES.USER_DATA]: [
+        { key: "last_sync_time", data: createdAt, updatedAt: createdAt },
+      ],
+    };
+  }
+
+  // Resolves to { fromVersion, toVersion, passed, failures }
+  static async run(fromVersion = IndexedDBService.DB_VERSION - 1) {
+    const toVersion = IndexedDBService.DB_VERSION;
+    const fixture = this.fixture(fromVersion);
+    const failures = [];
+
+    await IndexedDBService.deleteDatabase(this.DB_NAME);
+
+    try {
+      const oldDb = await this.createFixtureDatabase(fromVersion, fixture);
+      oldDb.close();
+
+      const db = await IndexedDBService.requestDatabase(this.DB_NAME);
+      try {
+        for (const [storeName, records] of Object.entries(fixture)) {
+          const stored = await IndexedDBService.readStore(db, storeName);
+          if (stored.length !== records.length) {
+            failures.push(
+              `${storeName}: expected ${records.length} records, found ${stored.length}`
+            );
+          }
+          this.checkRecords(storeName, records, stored, failures);
+        }
+        this.checkSchema(db, failures);
+        await this.checkMedia(db, fixture, failures);
+      } finally {
+        db.close();
+      }
+    } catch (error) {
+      failures.push(`Upgrade failed: ${error.message || error}`);
+    } finally {
+      await IndexedDBService.deleteDatabase(this.DB_NAME);
+    }
+
+    const result = {
+      fromVersion,
+      toVersion,
+      passed: failures.length === 0,
+      failures,
+    };
+
+    if (result.passed) {
+      console.log(`Migration ${fromVersion} → ${toVersion} kept all data`);
+    } else {
+      console.error(`Migration ${fromVersion} → ${toVersion} failed:`, failures);
+    }
+    return result;
+  }
+
+  // The old schema comes from the migration steps up to fromVersion
+  static createFixtureDatabase(version, fixture) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, version);
+
+      request.onupgradeneeded = () => {
+        IndexedDBMigrations.migrate(
+          request.result,
+          request.transaction,
+          0,
+          version
+        );
+        for (const [storeName, records] of Object.entries(fixture)) {
+          const store = request.transaction.objectStore(storeName);
+          records.forEach((record) => store.put(record));
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Every fixture field must still be there; migrations may only add fields
+  static checkRecords(storeName, records, stored, failures) {
+    const keyPath =
+      storeName === IndexedDBMigrations.STORES.USER_DATA ? "key" : "id";
+
+    records.forEach((record) => {
+      const match = stored.find((item) => item[keyPath] === record[keyPath]);
+      if (!match) {
+        failures.push(`${storeName}: record ${record[keyPath]} is missing`);
+        return;
+      }
+
+      Object.entries(record).forEach(([field, value]) => {
+        if (this.MOVED_FIELDS.includes(field)) return;
+        if (!this.matches(value, match[field])) {
+          failures.push(
+            `${storeName}: record ${record[keyPath]} changed "${field}"`
+          );
+        }
+      });
+    });
+  }
+
+  // Nested objects (e.g. a queued item's data) follow the same rules
+  static matches(expected, actual) {
+    if (expected && typeof expected === "object" && !Array.isArray(expected)) {
+      return (
+        !!actual &&
+        Object.entries(expected).every(
+          ([field, value]) =>
+            this.MOVED_FIELDS.includes(field) ||
+            this.matches(value, actual[field])
+        )
+      );
+    }
+    return JSON.stringify(expected) === JSON.stringify(actual);
+  }
+
+  static checkSchema(db, failures) {
+    const expected = {
+      [IndexedDBMigrations.STORES.PRODUCTS]: [
+        "createdAt",
+        "synced",
+        "local",
+        "lastViewedAt",
+        "serverId",
+        "syncStatus_createdAt",
+        "searchTokens",
+      ],
+      [IndexedDBMigrations.STORES.SYNC_QUEUE]: [
+        "type",
+        "timestamp",
+        "processed",
+        "status_timestamp",
+      ],
+      [IndexedDBMigrations.STORES.USER_DATA]: [],
+      [IndexedDBMigrations.STORES.MEDIA]: ["createdAt"],
+    };
+
+    const transaction = db.transaction(Object.keys(expected), "readonly");
+    Object.entries(expected).forEach(([storeName, indexes]) => {
+      const store = transaction.objectStore(storeName);
+      indexes.forEach((index) => {
+        if (!store.indexNames.contains(index)) {
+          failures.push(`${storeName}: index "${index}" is missing`);
+        }
+      });
+    });
+  }
+
+  // Inline photos must now be Blobs in the media store
+  static async checkMedia(db, fixture, failures) {
+    const products = await IndexedDBService.readStore(
+      db,
+      IndexedDBMigrations.STORES.PRODUCTS
+    );
+    const media = await IndexedDBService.readStore(
+      db,
+      IndexedDBMigrations.STORES.MEDIA
+    );
+
+    fixture[IndexedDBMigrations.STORES.PRODUCTS]
+      .filter((record) => record.photo)
+      .forEach((record) => {
+        const product = products.find((item) => item.id === record.id);
+        const stored =
+          product && media.find((item) => item.id === product.mediaId);
+
+        if (!stored) {
+          failures.push(`products: photo of record ${record.id} was lost`);
+        } else if (!(stored.blob instanceof Blob) || stored.size === 0) {
+          failures.push(`media: photo of record ${record.id} is not a Blob`);
+        } else if (product.photo) {
+          failures.push(`products: record ${record.id} still has its photo`);
+        }
+      });
+  }
+}
@@ -0,0 +1,335 @@
+import { SearchTokenizer } from "./search-tokenizer.js";
+
+// Schema history of the offline database. Each step upgrades the database
+// from the previous version to its key and runs inside the versionchange
+// transaction, so it can read and rewrite records in place. Steps must
+// never drop a store that still holds data - it may contain unsynced
+// products that exist nowhere else.
+//
+// To change the schema: add a step under the next version number and bump
+// IndexedDBService.DB_VERSION to match.
+export class IndexedDBMigrations {
+  static STORES = {
+    PRODUCTS: "products",
+    SYNC_QUEUE: "sync_queue",
+    USER_DATA: "user_data",
+    MEDIA: "media",
+  };
+
+  static steps = {
+    // Original schema
+    1: (db, transaction) => {
+      const products = this.ensureStore(db, transaction, this.STORES.PRODUCTS, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      this.ensureIndex(products, "createdAt");
+
+      const syncQueue = this.ensureStore(
+        db,
+        transaction,
+        this.STORES.SYNC_QUEUE,
+        { keyPath: "id", autoIncrement: true }
+      );
+      this.ensureIndex(syncQueue, "type");
+      this.ensureIndex(syncQueue, "timestamp");
+
+      this.ensureStore(db, transaction, this.STORES.USER_DATA, {
+        keyPath: "key",
+      });
+    },
+
+    // Sync state indexes. Versions 2-4 used to be upgraded by dropping
+    // every store; this step only adds what is missing, so a database at
+    // any of them keeps its records.
+    5: (db, transaction) => {
+      const products = this.ensureStore(db, transaction, this.STORES.PRODUCTS, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      this.ensureIndex(products, "createdAt");
+      this.ensureIndex(products, "synced");
+      this.ensureIndex(products, "local");
+
+      const syncQueue = this.ensureStore(
+        db,
+        transaction,
+        this.STORES.SYNC_QUEUE,
+        { keyPath: "id", autoIncrement: true }
+      );
+      this.ensureIndex(syncQueue, "type");
+      this.ensureIndex(syncQueue, "timestamp");
+      this.ensureIndex(syncQueue, "processed");
+
+      this.ensureStore(db, transaction, this.STORES.USER_DATA, {
+        keyPath: "key",
+      });
+
+      // Older queue items were written without these fields
+      this.updateEach(syncQueue, (item) => ({
+        ...item,
+        processed: item.processed || false,
+        attempts: item.attempts || 0,
+      }));
+
+      // Products saved offline had no sync flags yet
+      this.updateEach(products, (product) =>
+        product.synced === undefined
+          ? { ...product, synced: !product.local, local: !!product.local }
+          : undefined
+      );
+    },
+
+    // Photos move out of product records (base64 data URLs or Files) into
+    // the media store as Blobs. Dimensions need an image decoder, which
+    // can't run inside the upgrade, so moved photos have none.
+    6: (db, transaction) => {
+      const media = this.ensureStore(db, transaction, this.STORES.MEDIA, {
+        keyPath: "id",
+      });
+      this.ensureIndex(media, "createdAt");
+
+      this.updateEach(
+        transaction.objectStore(this.STORES.PRODUCTS),
+        (product) => {
+          const record = this.createMediaRecord(
+            `media_${product.id}`,
+            product.photo,
+            product.createdAt
+          );
+          if (!record) return undefined;
+
+          media.put(record);
+          const { photo, ...rest } = product;
+          return { ...rest, mediaId: record.id };
+        }
+      );
+
+      // Queued ADD_PRODUCT items carry their own copy of the photo; the
+      // same id is used as for the product they were queued for
+      this.updateEach(
+        transaction.objectStore(this.STORES.SYNC_QUEUE),
+        (item) => {
+          if (!item.data) return undefined;
+
+          const record = this.createMediaRecord(
+            `media_${item.data.localId || `queue_${item.id}`}`,
+            item.data.photo,
+            item.timestamp
+          );
+          if (!record) return undefined;
+
+          media.put(record);
+          const { photo, ...data } = item.data;
+          return { ...item, data: { ...data, mediaId: record.id } };
+        }
+      );
+    },
+
+    // Storage eviction removes the least recently viewed products first
+    7: (db, transaction) => {
+      const products = transaction.objectStore(this.STORES.PRODUCTS);
+      this.ensureIndex(products, "lastViewedAt");
+
+      this.updateEach(products, (product) =>
+        product.lastViewedAt
+          ? undefined
+          : {
+              ...product,
+              lastViewedAt:
+                product.updatedAt ||
+                product.createdAt ||
+                new Date().toISOString(),
+            }
+      );
+    },
+
+    // Cached server products are looked up by their server id. Earlier
+    // caching could store the same server product twice; only the first
+    // copy is kept so the index can be unique.
+    8: (db, transaction) => {
+      const products = transaction.objectStore(this.STORES.PRODUCTS);
+      const seen = new Set();
+
+      this.updateEach(products, (product) => {
+        if (!product.serverId) return undefined;
+        if (seen.has(product.serverId)) return null;
+
+        seen.add(product.serverId);
+        return undefined;
+      });
+      this.afterUpdates(products, (store) =>
+        this.ensureIndex(store, "serverId", "serverId", { unique: true })
+      );
+    },
+
+    // Booleans are not valid keys, so the "synced" and "processed" indexes
+    // never held a record. String states can be indexed, and paired with
+    // the timestamp each list is ordered by (see IndexedDBQuery).
+    9: (db, transaction) => {
+      const products = transaction.objectStore(this.STORES.PRODUCTS);
+      this.ensureIndex(products, "syncStatus_createdAt", [
+        "syncStatus",
+        "createdAt",
+      ]);
+      this.updateEach(products, (product) => ({
+        ...product,
+        syncStatus: product.synced ? "synced" : "local",
+      }));
+
+      const syncQueue = transaction.objectStore(this.STORES.SYNC_QUEUE);
+      this.ensureIndex(syncQueue, "status_timestamp", ["status", "timestamp"]);
+      this.updateEach(syncQueue, (item) => ({
+        ...item,
+        status: item.processed ? "processed" : "pending",
+      }));
+    },
+
+    // Offline search: each product lists its search tokens, and the
+    // multiEntry index over them is the inverted index (token -> products)
+    10: (db, transaction) => {
+      const products = transaction.objectStore(this.STORES.PRODUCTS);
+      this.ensureIndex(products, "searchTokens", "searchTokens", {
+        unique: false,
+        multiEntry: true,
+      });
+      this.updateEach(products, (product) => ({
+        ...product,
+        searchTokens: SearchTokenizer.productTokens(product),
+      }));
+    },
+  };
+
+  static get latestVersion() {
+    return Math.max(...Object.keys(this.steps).map(Number));
+  }
+
+  // Record rewrites requested by the running steps, per store
+  static pendingUpdates = new Map();
+
+  // Run every step after oldVersion up to newVersion, in order. Schema
+  // changes happen right away; record rewrites are collected and applied
+  // afterwards in one pass per store, so a later step sees the records as
+  // an earlier step left them.
+  static migrate(db, transaction, oldVersion, newVersion) {
+    this.pendingUpdates = new Map();
+
+    for (let version = oldVersion + 1; version <= newVersion; version++) {
+      const step = this.steps[version];
+      if (!step) continue;
+
+      console.log(`Migrating offline database to version ${version}`);
+      step(db, transaction);
+    }
+
+    this.applyUpdates();
+  }
+
+  // The existing store when there is one, so its records are kept
+  static ensureStore(db, transaction, name, options) {
+    if (db.objectStoreNames.contains(name)) {
+      return transaction.objectStore(name);
+    }
+
+    console.log(`Created ${name} store`);
+    return db.createObjectStore(name, options);
+  }
+
+  static ensureIndex(store, name, keyPath = name, options = { unique: false }) {
+    if (!store.indexNames.contains(name)) {
+      store.createIndex(name, keyPath, options);
+    }
+  }
+
+  static createMediaRecord(id, photo, createdAt) {
+    let blob = null;
+    if (photo instanceof Blob) {
+      blob = photo;
+    } else if (typeof photo === "string" && photo.startsWith("data:")) {
+      blob = this.dataUrlToBlob(photo);
+    }
+    if (!blob) return null;
+
+    return {
+      id,
+      blob,
+      type: blob.type,
+      size: blob.size,
+      width: null,
+      height: null,
+      createdAt: createdAt || new Date().toISOString(),
+    };
+  }
+
+  // Synchronous, unlike fetch(dataUrl), so it works inside an upgrade
+  static dataUrlToBlob(dataUrl) {
+    const [header, data = ""] = dataUrl.split(",");
+    const type = (header.match(/^data:([^;,]+)/) || [])[1] || "";
+    const text = header.includes(";base64")
+      ? atob(data)
+      : decodeURIComponent(data);
+
+    return new Blob([Uint8Array.from(text, (char) => char.charCodeAt(0))], {
+      type,
+    });
+  }
+
+  static getPendingUpdates(store) {
+    if (!this.pendingUpdates.has(store.name)) {
+      this.pendingUpdates.set(store.name, {
+        store,
+        transforms: [],
+        callbacks: [],
+      });
+    }
+    return this.pendingUpdates.get(store.name);
+  }
+
+  // Rewrite each record with transform(record); returning undefined leaves
+  // the record as it is and null deletes it
+  static updateEach(store, transform) {
+    this.getPendingUpdates(store).transforms.push(transform);
+  }
+
+  // Run callback once every record of the store has been rewritten, e.g.
+  // to add a unique index after duplicates were removed
+  static afterUpdates(store, callback) {
+    this.getPendingUpdates(store).callbacks.push(callback);
+  }
+
+  // Runs asynchronously within the upgrade transaction
+  static applyUpdates() {
+    this.pendingUpdates.forEach(({ store, transforms, callbacks }) => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          callbacks.forEach((callback) => callback(store));
+          return;
+        }
+
+        let record = cursor.value;
+        let changed = false;
+        for (const transform of transforms) {
+          const updated = transform(record);
+          if (updated === null) {
+            record = null;
+            break;
+          }
+          if (updated !== undefined) {
+            record = updated;
+            changed = true;
+          }
+        }
+
+        if (record === null) {
+          cursor.delete();
+        } else if (changed) {
+          cursor.update(record);
+        }
+        cursor.continue();
+      };
+    });
+    this.pendingUpdates = new Map();
+  }
+}
@@ -0,0 +1,235 @@
+// Reads over one object store that walk an index with a cursor instead of
+// loading everything with getAll() and filtering afterwards:
+//
+//   IndexedDBService.query("products")
+//     .where("syncStatus", "synced")
+//     .orderBy("createdAt", "desc")
+//     .filter((product) => product.lat && product.lon)
+//     .offset(12)
+//     .limit(12)
+//     .toArray();
+//
+// where() and range() need an index on their field (where() also accepts
+// a compound index that starts with it). Used together, or with orderBy()
+// on another field, they need the compound "<whereField>_<orderField>"
+// index. filter() runs on each record as the
+// cursor reaches it, so limit() still stops the walk early.
+export class IndexedDBQuery {
+  constructor(service, storeName) {
+    this.service = service;
+    this.storeName = storeName;
+    this.equality = null;
+    this.bounds = null;
+    this.order = null;
+    this.filters = [];
+    this.skip = 0;
+    this.max = Infinity;
+  }
+
+  // Only records whose field equals value
+  where(field, value) {
+    this.equality = { field, value };
+    return this;
+  }
+
+  // Records whose field lies between from and to (inclusive); either bound
+  // may be null for an open end
+  range(field, { from = null, to = null } = {}) {
+    this.bounds = { field, from, to };
+    return this;
+  }
+
+  orderBy(field, direction = "asc") {
+    this.order = { field, direction };
+    return this;
+  }
+
+  filter(predicate) {
+    if (predicate) {
+      this.filters.push(predicate);
+    }
+    return this;
+  }
+
+  offset(count) {
+    this.skip = Math.max(0, count || 0);
+    return this;
+  }
+
+  limit(count) {
+    this.max = count > 0 ? count : Infinity;
+    return this;
+  }
+
+  // Which index to open and with what key range
+  plan(store) {
+    const orderField = this.order ? this.order.field : null;
+    const rangeField = this.bounds ? this.bounds.field : null;
+
+    if (orderField && rangeField && orderField !== rangeField) {
+      throw new Error(
+        `Cannot order by "${orderField}" while ranging over "${rangeField}"`
+      );
+    }
+    const sortField = orderField || rangeField;
+    const from = this.bounds ? this.bounds.from : null;
+    const to = this.bounds ? this.bounds.to : null;
+
+    if (this.equality && sortField && sortField !== this.equality.field) {
+      const { field, value } = this.equality;
+      return {
+        indexName: `${field}_${sortField}`,
+        keyRange: IDBKeyRange.bound(
+          from === null ? [value] : [value, from],
+          // An empty array sorts after every other key
+          to === null ? [value, []] : [value, to]
+        ),
+      };
+    }
+
+    if (this.equality) {
+      const { field, value } = this.equality;
+      // A compound index starting with the field works just as well
+      const compound = Array.from(store.indexNames).find((name) =>
+        name.startsWith(`${field}_`)
+      );
+      if (!store.indexNames.contains(field) && compound) {
+        return {
+          indexName: compound,
+          keyRange: IDBKeyRange.bound([value], [value, []]),
+        };
+      }
+      return { indexName: field, keyRange: IDBKeyRange.only(value) };
+    }
+
+    if (sortField) {
+      return {
+        indexName: sortField,
+        keyRange: this.service.createBoundRange(from, to),
+      };
+    }
+
+    return { indexName: null, keyRange: null };
+  }
+
+  // The planned index (or the store itself) and key range
+  open(store) {
+    const { indexName, keyRange } = this.plan(store);
+    if (!indexName) {
+      return { source: store, keyRange };
+    }
+
+    if (!store.indexNames.contains(indexName)) {
+      throw new Error(`No "${indexName}" index on ${this.storeName}`);
+    }
+    return { source: store.index(indexName), keyRange };
+  }
+
+  // Call callback(record) for each match in order; returning false stops
+  async each(callback) {
+    await this.service.init();
+
+    return new Promise((resolve, reject) => {
+      const store = this.service.db
+        .transaction([this.storeName], "readonly")
+        .objectStore(this.storeName);
+
+      let source;
+      let keyRange;
+      try {
+        ({ source, keyRange } = this.open(store));
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const direction =
+        this.order && this.order.direction === "desc" ? "prev" : "next";
+      const request = source.openCursor(keyRange, direction);
+
+      let skipped = 0;
+      let matched = 0;
+      // Without filters the offset can be jumped over in one step
+      let advanced = this.filters.length > 0 || this.skip === 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(matched);
+          return;
+        }
+
+        if (!advanced) {
+          advanced = true;
+          skipped = this.skip;
+          cursor.advance(this.skip);
+          return;
+        }
+
+        const record = cursor.value;
+        if (this.filters.every((predicate) => predicate(record))) {
+          if (skipped < this.skip) {
+            skipped++;
+          } else {
+            matched++;
+            if (callback(record) === false || matched >= this.max) {
+              resolve(matched);
+              return;
+            }
+          }
+        }
+        cursor.continue();
+      };
+
+      request.onerror = () => {
+        console.error(`Error querying ${this.storeName}:`, request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  async toArray() {
+    const records = [];
+    await this.each((record) => {
+      records.push(record);
+    });
+    return records;
+  }
+
+  async first() {
+    const [record] = await this.limit(1).toArray();
+    return record || null;
+  }
+
+  // Counted by the index itself unless records have to be looked at
+  async count() {
+    if (this.filters.length > 0 || this.skip > 0 || this.max !== Infinity) {
+      return this.each(() => true);
+    }
+
+    await this.service.init();
+
+    return new Promise((resolve, reject) => {
+      const store = this.service.db
+        .transaction([this.storeName], "readonly")
+        .objectStore(this.storeName);
+
+      let source;
+      let keyRange;
+      try {
+        ({ source, keyRange } = this.open(store));
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const request = source.count(keyRange);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error(`Error counting ${this.storeName}:`, request.error);
+        reject(request.error);
+      };
+    });
+  }
+}
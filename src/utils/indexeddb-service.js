@@ -1,96 +1,285 @@
 // src/utils/indexeddb-service.js - Fixed Version
+import { IndexedDBMigrations } from "./indexeddb-migrations.js";
+import { IndexedDBQuery } from "./indexeddb-query.js";
+import { SearchTokenizer } from "./search-tokenizer.js";
+
 export class IndexedDBService {
+  // Each user gets their own "ECommerceDB-<userId>" database ("-guest" when
+  // logged out). The bare name is the shared database used before storage
+  // was partitioned; see migrateLegacyDatabase.
   static DB_NAME = "ECommerceDB";
-  static DB_VERSION = 5; // Increased version to force schema update
-  static STORES = {
-    PRODUCTS: "products",
-    SYNC_QUEUE: "sync_queue",
-    USER_DATA: "user_data",
-  };
+  // Must match the last step in IndexedDBMigrations
+  static DB_VERSION = 10;
+  static STORES = IndexedDBMigrations.STORES;
+  // Product fields that come from the server and are refreshed on upsert
+  static SERVER_FIELDS = [
+    "name",
+    "description",
+    "photoUrl",
+    "lat",
+    "lon",
+    "serverUpdatedAt",
+  ];
+  // Offline data allowed before synced products are evicted, in bytes
+  static STORAGE_BUDGET = 50 * 1024 * 1024; // 50 MB
+  // Eviction frees space down to this share of the budget, so it doesn't
+  // run again on the very next page load
+  static EVICTION_TARGET = 0.8;
 
   static db = null;
+  static userId = null;
+  static switchPromise = null;
+  // Handles a sync run still works in, with the number of holds on each
+  static held = new Map();
+
+  static getDatabaseName(userId = this.userId) {
+    return `${this.DB_NAME}-${userId || "guest"}`;
+  }
 
   static async init() {
-    return new Promise((resolve, reject) => {
-      if (this.db) {
-        resolve(this.db);
-        return;
+    // Wait for a user switch (and its migration) to finish first
+    if (this.switchPromise) {
+      await this.switchPromise;
+    }
+    return this.openDatabase();
+  }
+
+  // Point the service at another user's database (null when logged out)
+  static async useUser(userId) {
+    userId = userId || null;
+    if (userId === this.userId && this.db) return;
+
+    if (this.switchPromise) {
+      await this.switchPromise;
+    }
+
+    this.switchPromise = (async () => {
+      this.close();
+      this.userId = userId;
+
+      if (userId) {
+        await this.migrateLegacyDatabase();
+      }
+      await this.openDatabase();
+      console.log("Using offline database:", this.getDatabaseName());
+    })();
+
+    try {
+      await this.switchPromise;
+    } finally {
+      this.switchPromise = null;
+    }
+  }
+
+  static close() {
+    if (this.db) {
+      // A held handle is closed once its last hold is released
+      if (!this.held.has(this.db)) {
+        this.db.close();
+      }
+      this.db = null;
+    }
+  }
+
+  // The service bound to the database open now, for work that has to
+  // finish there even if the user switches meanwhile (a sync run). The
+  // handle stays open until release() is called.
+  static async hold() {
+    const db = await this.init();
+    this.held.set(db, (this.held.get(db) || 0) + 1);
+
+    const bound = Object.create(this);
+    bound.db = db;
+    bound.userId = this.userId;
+    bound.init = async () => db;
+    bound.release = () => this.releaseDatabase(db);
+    return bound;
+  }
+
+  static releaseDatabase(db) {
+    const holds = (this.held.get(db) || 1) - 1;
+    if (holds > 0) {
+      this.held.set(db, holds);
+      return;
+    }
+
+    this.held.delete(db);
+    // The user switched away while it was held
+    if (db !== this.db) {
+      db.close();
+    }
+  }
+
+  static async openDatabase() {
+    if (this.db) {
+      return this.db;
+    }
+
+    const name = this.getDatabaseName();
+    const db = await this.requestDatabase(name);
+
+    // The user switched, or another caller got there first, while this
+    // one was opening
+    if (name !== this.getDatabaseName() || this.db) {
+      db.close();
+      return this.openDatabase();
+    }
+
+    // Let upgrades or deletion from another tab go ahead
+    db.onversionchange = () => {
+      db.close();
+      if (this.db === db) {
+        this.db = null;
       }
+    };
+    this.db = db;
+    console.log("IndexedDB initialized successfully");
+    return db;
+  }
 
-      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+  // Open (and if needed upgrade) a database through the migration steps
+  static requestDatabase(name, version = this.DB_VERSION) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
 
       request.onerror = () => {
         console.error("IndexedDB error:", request.error);
         reject(request.error);
       };
 
-      request.onsuccess = () => {
-        this.db = request.result;
-        console.log("IndexedDB initialized successfully");
-        resolve(this.db);
-      };
+      request.onsuccess = () => resolve(request.result);
 
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
         console.log(
           "IndexedDB upgrade needed, version:",
           event.oldVersion,
           "→",
           event.newVersion
         );
-        this.createObjectStores(db, event.oldVersion);
+        IndexedDBMigrations.migrate(
+          request.result,
+          request.transaction,
+          event.oldVersion,
+          event.newVersion
+        );
       };
     });
   }
 
-  static createObjectStores(db, oldVersion) {
-    // Delete old stores if they exist (for clean migration)
-    if (oldVersion > 0 && oldVersion < 5) {
-      if (db.objectStoreNames.contains(this.STORES.PRODUCTS)) {
-        db.deleteObjectStore(this.STORES.PRODUCTS);
+  // Data written before storage was partitioned lives in the shared
+  // database. It moves to the first user who logs in and the shared
+  // database is deleted, so no later account inherits it.
+  static async migrateLegacyDatabase() {
+    let legacyDb = null;
+
+    try {
+      legacyDb = await this.openExistingDatabase(this.DB_NAME);
+      if (!legacyDb) return;
+
+      // Bring the records up to the current schema first (photos into the
+      // media store, sync states, search tokens...) so they are copied in
+      // the shape the rest of the service expects
+      if (legacyDb.version < this.DB_VERSION) {
+        legacyDb.close();
+        legacyDb = await this.requestDatabase(this.DB_NAME);
       }
-      if (db.objectStoreNames.contains(this.STORES.SYNC_QUEUE)) {
-        db.deleteObjectStore(this.STORES.SYNC_QUEUE);
+
+      const storeNames = Object.values(this.STORES).filter((name) =>
+        legacyDb.objectStoreNames.contains(name)
+      );
+      const records = {};
+      for (const storeName of storeNames) {
+        records[storeName] = await this.readStore(legacyDb, storeName);
       }
-      if (db.objectStoreNames.contains(this.STORES.USER_DATA)) {
-        db.deleteObjectStore(this.STORES.USER_DATA);
+      legacyDb.close();
+      legacyDb = null;
+
+      const db = await this.openDatabase();
+      for (const storeName of storeNames) {
+        await this.writeStore(db, storeName, records[storeName]);
       }
-    }
 
-    // Create products store
-    if (!db.objectStoreNames.contains(this.STORES.PRODUCTS)) {
-      const productStore = db.createObjectStore(this.STORES.PRODUCTS, {
-        keyPath: "id",
-        autoIncrement: true,
-      });
-      productStore.createIndex("createdAt", "createdAt", { unique: false });
-      productStore.createIndex("synced", "synced", { unique: false });
-      productStore.createIndex("local", "local", { unique: false });
-      console.log("Created products store");
+      await this.deleteDatabase(this.DB_NAME);
+      console.log(
+        `Moved shared offline data to ${this.getDatabaseName()}:`,
+        storeNames.map((name) => `${records[name].length} ${name}`).join(", ")
+      );
+    } catch (error) {
+      console.error("Failed to migrate shared offline data:", error);
+    } finally {
+      if (legacyDb) {
+        legacyDb.close();
+      }
     }
+  }
 
-    // Create sync queue store
-    if (!db.objectStoreNames.contains(this.STORES.SYNC_QUEUE)) {
-      const syncStore = db.createObjectStore(this.STORES.SYNC_QUEUE, {
-        keyPath: "id",
-        autoIncrement: true,
-      });
-      syncStore.createIndex("type", "type", { unique: false });
-      syncStore.createIndex("timestamp", "timestamp", { unique: false });
-      syncStore.createIndex("processed", "processed", { unique: false });
-      console.log("Created sync queue store");
+  // Open a database only if it already exists; resolves to null otherwise
+  static async openExistingDatabase(name) {
+    if (typeof indexedDB.databases === "function") {
+      const databases = await indexedDB.databases();
+      if (!databases.some((database) => database.name === name)) {
+        return null;
+      }
     }
 
-    // Create user data store
-    if (!db.objectStoreNames.contains(this.STORES.USER_DATA)) {
-      const userStore = db.createObjectStore(this.STORES.USER_DATA, {
-        keyPath: "key",
-      });
-      console.log("Created user data store");
-    }
+    return new Promise((resolve, reject) => {
+      let existed = true;
+      const request = indexedDB.open(name);
+
+      request.onupgradeneeded = (event) => {
+        // Version 0 means it was just created - abort so it goes away again
+        if (event.oldVersion === 0) {
+          existed = false;
+          request.transaction.abort();
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = (event) => {
+        if (!existed) {
+          event.preventDefault();
+          resolve(null);
+        } else {
+          reject(request.error);
+        }
+      };
+    });
   }
 
-  // PRODUCTS STORE OPERATIONS
+  static readStore(db, storeName) {
+    return new Promise((resolve, reject) => {
+      const request = db
+        .transaction([storeName], "readonly")
+        .objectStore(storeName)
+        .getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  static writeStore(db, storeName, records) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([storeName], "readwrite");
+      const store = transaction.objectStore(storeName);
+      records.forEach((record) => store.put(record));
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  static deleteDatabase(name) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(name);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+      // Another tab still has it open; it is deleted once that tab lets go
+      request.onblocked = () => {
+        console.warn(`Deleting ${name} is waiting for other tabs to close it`);
+        resolve();
+      };
+    });
+  }
 
   static async addProduct(productData) {
     await this.init();
@@ -104,11 +293,14 @@ export class IndexedDBService {
 
       const product = {
         ...productData,
-        id: `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        id: this.createProductId(),
         createdAt: new Date().toISOString(),
+        lastViewedAt: new Date().toISOString(),
         synced: false,
+        syncStatus: "local",
         local: true,
         serverId: null,
+        searchTokens: SearchTokenizer.productTokens(productData),
       };
 
       const request = store.add(product);
@@ -125,6 +317,15 @@ export class IndexedDBService {
     });
   }
 
+  // Indexed reads with filtering, ordering and paging; see IndexedDBQuery
+  static query(storeName) {
+    return new IndexedDBQuery(this, storeName);
+  }
+
+  static createProductId() {
+    return `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   static async getAllProducts() {
     await this.init();
 
@@ -154,30 +355,14 @@ export class IndexedDBService {
     });
   }
 
+  // Oldest first, so they reach the server in the order they were made
   static async getUnsyncedProducts() {
-    await this.init();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(
-        [this.STORES.PRODUCTS],
-        "readonly"
-      );
-      const store = transaction.objectStore(this.STORES.PRODUCTS);
-      const index = store.index("synced");
-
-      // Use getAll with key range for boolean values
-      const request = index.getAll(IDBKeyRange.only(false));
-
-      request.onsuccess = () => {
-        console.log("Retrieved unsynced products:", request.result.length);
-        resolve(request.result);
-      };
-
-      request.onerror = () => {
-        console.error("Error retrieving unsynced products:", request.error);
-        reject(request.error);
-      };
-    });
+    const products = await this.query(this.STORES.PRODUCTS)
+      .where("syncStatus", "local")
+      .orderBy("createdAt")
+      .toArray();
+    console.log("Retrieved unsynced products:", products.length);
+    return products;
   }
 
   static async getProduct(id) {
@@ -229,6 +414,11 @@ export class IndexedDBService {
           ...updates,
           updatedAt: new Date().toISOString(),
         };
+        updatedProduct.syncStatus = this.getSyncStatus(updatedProduct);
+        // Deleted products drop out of search
+        updatedProduct.searchTokens = updatedProduct.deleted
+          ? []
+          : SearchTokenizer.productTokens(updatedProduct);
 
         const putRequest = store.put(updatedProduct);
 
@@ -253,6 +443,26 @@ export class IndexedDBService {
     });
   }
 
+  // Indexed stand-in for the boolean "synced" and "deleted" flags
+  static getSyncStatus(product) {
+    if (product.deleted) return "deleted";
+    return product.synced ? "synced" : "local";
+  }
+
+  // Deleting a product the server knows leaves a tombstone until the
+  // server stops listing it, so a cached or stale response can't bring it
+  // back. Its photo is released for garbage collection.
+  static async markProductDeleted(id) {
+    return this.updateProduct(id, {
+      deleted: true,
+      deletedAt: new Date().toISOString(),
+      pendingChanges: false,
+      base: null,
+      conflictItemId: null,
+      mediaId: null,
+    });
+  }
+
   static async deleteProduct(id) {
     await this.init();
 
@@ -276,11 +486,331 @@ export class IndexedDBService {
     });
   }
 
+  static async getProductByServerId(serverId) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.STORES.PRODUCTS],
+        "readonly"
+      );
+      const request = transaction
+        .objectStore(this.STORES.PRODUCTS)
+        .index("serverId")
+        .get(serverId);
+
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+
+      request.onerror = () => {
+        console.error("Error retrieving product by server id:", request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Cached products for a list of server ids, as a Map keyed by server id
+  static async getProductsByServerIds(serverIds) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.STORES.PRODUCTS],
+        "readonly"
+      );
+      const index = transaction
+        .objectStore(this.STORES.PRODUCTS)
+        .index("serverId");
+      const products = new Map();
+
+      serverIds.forEach((serverId) => {
+        const request = index.get(serverId);
+        request.onsuccess = () => {
+          if (request.result) products.set(serverId, request.result);
+        };
+      });
+
+      transaction.oncomplete = () => resolve(products);
+
+      transaction.onerror = () => {
+        console.error(
+          "Error retrieving products by server id:",
+          transaction.error
+        );
+        reject(transaction.error);
+      };
+    });
+  }
+
+  // Products matching every search term, read through the multiEntry
+  // "searchTokens" index. A term ({ word, stem }, see
+  // SearchTokenizer.queryTerms) matches a token that starts with its word
+  // or equals its stem.
+  static async findProductsByTokens(terms) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.STORES.PRODUCTS],
+        "readonly"
+      );
+      const store = transaction.objectStore(this.STORES.PRODUCTS);
+      const index = store.index("searchTokens");
+      const matches = terms.map(() => new Set());
+      const products = [];
+      let pending = 0;
+
+      // Only ids found for every term are read
+      const readProducts = () => {
+        const [first, ...rest] = matches;
+        Array.from(first || [])
+          .filter((id) => rest.every((ids) => ids.has(id)))
+          .forEach((id) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+              if (request.result) products.push(request.result);
+            };
+          });
+      };
+
+      terms.forEach(({ word, stem }, termIndex) => {
+        const ranges = [IDBKeyRange.bound(word, `${word}\uffff`)];
+        if (!stem.startsWith(word)) {
+          ranges.push(IDBKeyRange.only(stem));
+        }
+
+        ranges.forEach((range) => {
+          pending++;
+          const request = index.getAllKeys(range);
+          request.onsuccess = () => {
+            request.result.forEach((id) => matches[termIndex].add(id));
+            if (--pending === 0) readProducts();
+          };
+        });
+      });
+
+      transaction.oncomplete = () => resolve(products);
+
+      transaction.onerror = () => {
+        console.error("Error searching products:", transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  // Store a list of server products in one transaction: new ones are
+  // added, changed ones updated and all of them marked as viewed. With a
+  // `removeRange` ({ from, to } createdAt bounds, either may be null for
+  // open-ended) every cached server product created in that range that is
+  // missing from the list was deleted on the server and is removed too -
+  // unless it still has local edits, an open conflict or queued changes,
+  // which the sync queue has to settle first. Tombstones and products with
+  // local edits that haven't reached the server yet keep their own data.
+  // Resolves to { added, updated, removed, mediaIds } - mediaIds are the
+  // photos of removed products.
+  static async upsertServerProducts(records, { removeRange = null } = {}) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.STORES.PRODUCTS, this.STORES.MEDIA, this.STORES.SYNC_QUEUE],
+        "readwrite"
+      );
+      const store = transaction.objectStore(this.STORES.PRODUCTS);
+      const mediaStore = transaction.objectStore(this.STORES.MEDIA);
+      const serverIndex = store.index("serverId");
+      const now = new Date().toISOString();
+      const result = { added: 0, updated: 0, removed: 0, mediaIds: [] };
+
+      records.forEach((record) => {
+        const request = serverIndex.get(record.serverId);
+        request.onsuccess = () => {
+          const existing = request.result;
+
+          if (!existing) {
+            store.add({
+              ...record,
+              id: this.createProductId(),
+              synced: true,
+              syncStatus: "synced",
+              local: false,
+              lastViewedAt: now,
+              searchTokens: SearchTokenizer.productTokens(record),
+            });
+            result.added++;
+            return;
+          }
+
+          if (existing.deleted) return;
+
+          const changed =
+            !existing.pendingChanges &&
+            this.SERVER_FIELDS.some(
+              (field) => existing[field] !== record[field]
+            );
+          const updates = {};
+          this.SERVER_FIELDS.forEach((field) => {
+            updates[field] = record[field];
+          });
+          updates.searchTokens = SearchTokenizer.productTokens(record);
+
+          store.put({
+            ...existing,
+            ...(changed ? { ...updates, updatedAt: now } : {}),
+            // Products created here take the server's timestamp, which is
+            // what removeRange is computed from
+            createdAt: record.createdAt || existing.createdAt,
+            lastViewedAt: now,
+          });
+          if (changed) result.updated++;
+        };
+      });
+
+      if (removeRange) {
+        const serverIds = new Set(records.map((record) => record.serverId));
+        const range = this.createBoundRange(removeRange.from, removeRange.to);
+        const queueRequest = transaction
+          .objectStore(this.STORES.SYNC_QUEUE)
+          .index("status_timestamp")
+          .getAll(IDBKeyRange.bound(["pending"], ["pending", []]));
+
+        queueRequest.onsuccess = () => {
+          const queued = new Set(
+            queueRequest.result
+              .filter((item) => item.data && item.data.localId)
+              .map((item) => item.data.localId)
+          );
+          const cursorRequest = store.index("createdAt").openCursor(range);
+
+          cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+
+            const product = cursor.value;
+            if (
+              product.serverId &&
+              product.synced === true &&
+              !serverIds.has(product.serverId) &&
+              !product.pendingChanges &&
+              !product.conflictItemId &&
+              !queued.has(product.id)
+            ) {
+              if (product.mediaId) {
+                mediaStore.delete(product.mediaId);
+                result.mediaIds.push(product.mediaId);
+              }
+              cursor.delete();
+              result.removed++;
+            }
+            cursor.continue();
+          };
+        };
+      }
+
+      transaction.oncomplete = () => {
+        console.log(
+          `Cached server products: ${result.added} added, ${result.updated} updated, ${result.removed} removed`
+        );
+        resolve(result);
+      };
+
+      transaction.onerror = () => {
+        console.error("Error caching server products:", transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  // IDBKeyRange for optional lower/upper bounds; null matches everything
+  static createBoundRange(from, to) {
+    if (from != null && to != null) return IDBKeyRange.bound(from, to);
+    if (from != null) return IDBKeyRange.lowerBound(from);
+    if (to != null) return IDBKeyRange.upperBound(to);
+    return null;
+  }
+
+  // Record that products were shown, so eviction keeps them longest
+  static async markProductsViewed(ids) {
+    if (ids.length === 0) return;
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.STORES.PRODUCTS],
+        "readwrite"
+      );
+      const store = transaction.objectStore(this.STORES.PRODUCTS);
+      const viewedAt = new Date().toISOString();
+
+      ids.forEach((id) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) {
+            store.put({ ...request.result, lastViewedAt: viewedAt });
+          }
+        };
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.error("Error marking products as viewed:", transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  // A product list loaded while the upload was out may already have cached
+  // the new story as its own record. The local product keeps its id (queue
+  // items and photos point at it), takes what the server added, and the
+  // cached copy goes, so the unique serverId index doesn't reject it.
   static async markProductAsSynced(localId, serverId) {
-    return this.updateProduct(localId, {
-      synced: true,
-      serverId: serverId,
-      syncedAt: new Date().toISOString(),
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.STORES.PRODUCTS],
+        "readwrite"
+      );
+      const store = transaction.objectStore(this.STORES.PRODUCTS);
+      const getRequest = store.get(localId);
+      const cachedRequest = store.index("serverId").get(serverId);
+
+      cachedRequest.onsuccess = () => {
+        const product = getRequest.result;
+        if (!product) {
+          reject(new Error("Product not found"));
+          transaction.abort();
+          return;
+        }
+
+        const cached = cachedRequest.result;
+        const fromServer = {};
+        if (cached && cached.id !== localId) {
+          ["photoUrl", "createdAt", "serverUpdatedAt"].forEach((field) => {
+            if (cached[field]) fromServer[field] = cached[field];
+          });
+          store.delete(cached.id);
+          console.log(`Merged cached copy of ${serverId} into ${localId}`);
+        }
+
+        const updatedProduct = {
+          ...product,
+          ...fromServer,
+          synced: true,
+          serverId: serverId,
+          syncedAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+        updatedProduct.syncStatus = this.getSyncStatus(updatedProduct);
+        store.put(updatedProduct);
+      };
+
+      transaction.oncomplete = () => resolve(localId);
+      transaction.onerror = () => {
+        console.error("Error marking product as synced:", transaction.error);
+        reject(transaction.error);
+      };
     });
   }
 
@@ -301,6 +831,7 @@ export class IndexedDBService {
         data: data,
         timestamp: new Date().toISOString(),
         processed: false,
+        status: "pending",
         attempts: 0,
       };
 
@@ -318,35 +849,126 @@ export class IndexedDBService {
     });
   }
 
-  static async getPendingSyncItems() {
+  // Queued changes to one product that haven't been sent yet
+  static async getPendingSyncItemsFor(localId) {
+    return this.query(this.STORES.SYNC_QUEUE)
+      .where("status", "pending")
+      .orderBy("timestamp")
+      .filter((item) => item.data && item.data.localId === localId)
+      .toArray();
+  }
+
+  // Merge updates into a queued item's data, e.g. an edit made before the
+  // product it was queued for reached the server
+  static async updateSyncItemData(id, updates) {
     await this.init();
 
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(
         [this.STORES.SYNC_QUEUE],
-        "readonly"
+        "readwrite"
       );
       const store = transaction.objectStore(this.STORES.SYNC_QUEUE);
+      const getRequest = store.get(id);
+      let updated = false;
 
-      // Use getAll and filter manually instead of using index with boolean
-      const request = store.getAll();
+      getRequest.onsuccess = () => {
+        const item = getRequest.result;
+        if (!item) return;
 
-      request.onsuccess = () => {
-        const allItems = request.result || [];
-        const pendingItems = allItems.filter(
-          (item) => item.processed === false
-        );
-        console.log("Retrieved pending sync items:", pendingItems.length);
-        resolve(pendingItems);
+        store.put({ ...item, data: { ...item.data, ...updates } });
+        updated = true;
       };
 
+      transaction.oncomplete = () => resolve(updated);
+
+      transaction.onerror = () => {
+        console.error("Error updating sync item:", transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  static async getSyncItem(id) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.STORES.SYNC_QUEUE],
+        "readonly"
+      );
+      const request = transaction
+        .objectStore(this.STORES.SYNC_QUEUE)
+        .get(id);
+
+      request.onsuccess = () => resolve(request.result || null);
       request.onerror = () => {
-        console.error("Error getting pending sync items:", request.error);
+        console.error("Error getting sync item:", request.error);
         reject(request.error);
       };
     });
   }
 
+  // Merge updates into a queued item itself (status, conflict, ...)
+  static async updateSyncItem(id, updates) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.STORES.SYNC_QUEUE],
+        "readwrite"
+      );
+      const store = transaction.objectStore(this.STORES.SYNC_QUEUE);
+      const getRequest = store.get(id);
+      let updated = false;
+
+      getRequest.onsuccess = () => {
+        const item = getRequest.result;
+        if (!item) return;
+
+        store.put({ ...item, ...updates });
+        updated = true;
+      };
+
+      transaction.oncomplete = () => resolve(updated);
+
+      transaction.onerror = () => {
+        console.error("Error updating sync item:", transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
+  // An item waiting for the user to resolve a conflict is neither pending
+  // nor processed, so syncing skips it until then
+  static async markSyncItemConflict(id, conflict) {
+    return this.updateSyncItem(id, { status: "conflict", conflict });
+  }
+
+  static async requeueSyncItem(id) {
+    return this.updateSyncItem(id, {
+      status: "pending",
+      conflict: null,
+      attempts: 0,
+    });
+  }
+
+  static async getConflictItems() {
+    return this.query(this.STORES.SYNC_QUEUE)
+      .where("status", "conflict")
+      .orderBy("timestamp")
+      .toArray();
+  }
+
+  static async getPendingSyncItems() {
+    const pendingItems = await this.query(this.STORES.SYNC_QUEUE)
+      .where("status", "pending")
+      .orderBy("timestamp")
+      .toArray();
+    console.log("Retrieved pending sync items:", pendingItems.length);
+    return pendingItems;
+  }
+
   static async markSyncItemAsProcessed(id) {
     await this.init();
 
@@ -370,6 +992,7 @@ export class IndexedDBService {
         const updatedItem = {
           ...item,
           processed: true,
+          status: "processed",
           processedAt: new Date().toISOString(),
         };
 
@@ -527,24 +1150,142 @@ export class IndexedDBService {
 
   // UTILITY METHODS
 
+  // MEDIA
+  // Product photos live here as Blobs; products point at them by mediaId
+
+  static async saveMedia(blob, { width = null, height = null } = {}) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.STORES.MEDIA],
+        "readwrite"
+      );
+      const store = transaction.objectStore(this.STORES.MEDIA);
+
+      const media = {
+        id: `media_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        blob: blob,
+        type: blob.type,
+        size: blob.size,
+        width: width,
+        height: height,
+        createdAt: new Date().toISOString(),
+      };
+
+      const request = store.add(media);
+
+      request.onsuccess = () => {
+        console.log("Media saved to IndexedDB with ID:", media.id);
+        resolve(media.id);
+      };
+
+      request.onerror = () => {
+        console.error("Error saving media to IndexedDB:", request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  static async getMedia(id) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.MEDIA], "readonly");
+      const request = transaction.objectStore(this.STORES.MEDIA).get(id);
+
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+
+      request.onerror = () => {
+        console.error("Error retrieving media from IndexedDB:", request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Delete media no product or queued sync item refers to any more;
+  // resolves to the deleted ids
+  static async deleteOrphanedMedia() {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.STORES.PRODUCTS, this.STORES.SYNC_QUEUE, this.STORES.MEDIA],
+        "readwrite"
+      );
+      const productsRequest = transaction
+        .objectStore(this.STORES.PRODUCTS)
+        .getAll();
+      const queueRequest = transaction
+        .objectStore(this.STORES.SYNC_QUEUE)
+        .getAll();
+      const mediaStore = transaction.objectStore(this.STORES.MEDIA);
+      const keysRequest = mediaStore.getAllKeys();
+      const deleted = [];
+
+      keysRequest.onsuccess = () => {
+        const referenced = new Set();
+        productsRequest.result.forEach((product) => {
+          if (product.mediaId) referenced.add(product.mediaId);
+        });
+        queueRequest.result.forEach((item) => {
+          if (!item.processed && item.data && item.data.mediaId) {
+            referenced.add(item.data.mediaId);
+          }
+        });
+
+        keysRequest.result.forEach((id) => {
+          if (!referenced.has(id)) {
+            mediaStore.delete(id);
+            deleted.push(id);
+          }
+        });
+      };
+
+      transaction.oncomplete = () => {
+        if (deleted.length > 0) {
+          console.log(`Deleted ${deleted.length} orphaned media`);
+        }
+        resolve(deleted);
+      };
+
+      transaction.onerror = () => {
+        console.error("Error deleting orphaned media:", transaction.error);
+        reject(transaction.error);
+      };
+    });
+  }
+
   static async getStats() {
     await this.init();
 
     try {
-      const [products, syncItems, userData] = await Promise.all([
-        this.getAllProducts(),
-        this.getPendingSyncItems(),
-        this.getUserData("app_settings"),
-      ]);
-
-      const syncedProducts = products.filter((p) => p.synced).length;
-      const localProducts = products.filter((p) => !p.synced).length;
+      // Counted by the indexes, without loading any records
+      const [syncedProducts, localProducts, pendingSync, conflicts, userData] =
+        await Promise.all([
+          this.query(this.STORES.PRODUCTS)
+            .where("syncStatus", "synced")
+            .count(),
+          this.query(this.STORES.PRODUCTS)
+            .where("syncStatus", "local")
+            .count(),
+          this.query(this.STORES.SYNC_QUEUE)
+            .where("status", "pending")
+            .count(),
+          this.query(this.STORES.SYNC_QUEUE)
+            .where("status", "conflict")
+            .count(),
+          this.getUserData("app_settings"),
+        ]);
 
       const stats = {
-        totalProducts: products.length,
+        totalProducts: syncedProducts + localProducts,
         syncedProducts: syncedProducts,
         localProducts: localProducts,
-        pendingSync: syncItems.length,
+        pendingSync: pendingSync,
+        conflicts: conflicts,
         lastSync: await this.getUserData("last_sync_time"),
         appSettings: userData,
       };
@@ -557,6 +1298,7 @@ export class IndexedDBService {
         syncedProducts: 0,
         localProducts: 0,
         pendingSync: 0,
+        conflicts: 0,
         lastSync: null,
         appSettings: null,
       };
@@ -568,12 +1310,17 @@ export class IndexedDBService {
 
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(
-        [this.STORES.PRODUCTS, this.STORES.SYNC_QUEUE, this.STORES.USER_DATA],
+        [
+          this.STORES.PRODUCTS,
+          this.STORES.SYNC_QUEUE,
+          this.STORES.USER_DATA,
+          this.STORES.MEDIA,
+        ],
         "readwrite"
       );
 
       let completed = 0;
-      const totalStores = 3;
+      const totalStores = 4;
 
       const checkCompletion = () => {
         completed++;
@@ -589,6 +1336,8 @@ export class IndexedDBService {
         checkCompletion;
       transaction.objectStore(this.STORES.USER_DATA).clear().onsuccess =
         checkCompletion;
+      transaction.objectStore(this.STORES.MEDIA).clear().onsuccess =
+        checkCompletion;
 
       transaction.onerror = () => {
         console.error("Error clearing IndexedDB data:", transaction.error);
@@ -647,29 +1396,194 @@ export class IndexedDBService {
     return "indexedDB" in window;
   }
 
-  // Get database size (approximate)
+  // Get database size (approximate). Walks each store with a cursor so
+  // no store is loaded into memory at once; photos count by their stored
+  // size instead of being read.
   static async getDatabaseSize() {
     if (!this.db) return 0;
 
-    let totalSize = 0;
     const storeNames = Array.from(this.db.objectStoreNames);
+    const transaction = this.db.transaction(storeNames, "readonly");
+    let totalSize = 0;
 
-    for (const storeName of storeNames) {
-      const transaction = this.db.transaction([storeName], "readonly");
-      const store = transaction.objectStore(storeName);
-      const request = store.getAll();
+    await Promise.all(
+      storeNames.map(
+        (storeName) =>
+          new Promise((resolve) => {
+            const cursorRequest = transaction
+              .objectStore(storeName)
+              .openCursor();
+
+            cursorRequest.onsuccess = () => {
+              const cursor = cursorRequest.result;
+              if (!cursor) {
+                resolve();
+                return;
+              }
+
+              totalSize +=
+                storeName === this.STORES.MEDIA
+                  ? cursor.value.size || 0
+                  : new Blob([JSON.stringify(cursor.value)]).size;
+              cursor.continue();
+            };
+            cursorRequest.onerror = resolve; // Ignore errors for size calculation
+          })
+      )
+    );
+
+    return totalSize;
+  }
+
+  // STORAGE QUOTA
+
+  // Usage of this database against the budget, plus the browser's numbers
+  // for the whole origin (which include the service worker caches)
+  static async getStorageEstimate() {
+    await this.init();
+
+    const estimate = { usage: null, quota: null, persisted: false };
+    if (navigator.storage && navigator.storage.estimate) {
+      try {
+        const { usage, quota } = await navigator.storage.estimate();
+        estimate.usage = usage;
+        estimate.quota = quota;
+        estimate.persisted = navigator.storage.persisted
+          ? await navigator.storage.persisted()
+          : false;
+      } catch (error) {
+        console.warn("Storage estimate unavailable:", error);
+      }
+    }
+
+    return {
+      ...estimate,
+      databaseSize: await this.getDatabaseSize(),
+      budget: this.STORAGE_BUDGET,
+      persistenceSupported: !!(navigator.storage && navigator.storage.persist),
+    };
+  }
+
+  // Ask the browser not to clear our data under storage pressure; resolves
+  // to whether storage is persistent
+  static async requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) {
+      return false;
+    }
+
+    try {
+      if (navigator.storage.persisted && (await navigator.storage.persisted())) {
+        return true;
+      }
+      const persisted = await navigator.storage.persist();
+      console.log("Persistent storage", persisted ? "granted" : "denied");
+      return persisted;
+    } catch (error) {
+      console.warn("Persistent storage request failed:", error);
+      return false;
+    }
+  }
+
+  // Delete the least recently viewed synced products and their photos
+  // until the database fits the budget again. Products that only exist on
+  // this device, or still have queued changes, are never evicted.
+  // Resolves to { evicted, freed, size, mediaIds }.
+  static async enforceStorageBudget(budget = this.STORAGE_BUDGET) {
+    await this.init();
 
-      await new Promise((resolve) => {
+    const size = await this.getDatabaseSize();
+    if (size <= budget) {
+      return { evicted: 0, freed: 0, size, mediaIds: [] };
+    }
+
+    const target = budget * this.EVICTION_TARGET;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.STORES.PRODUCTS, this.STORES.SYNC_QUEUE, this.STORES.MEDIA],
+        "readwrite"
+      );
+      const products = transaction.objectStore(this.STORES.PRODUCTS);
+      const mediaStore = transaction.objectStore(this.STORES.MEDIA);
+      const queueIndex = transaction
+        .objectStore(this.STORES.SYNC_QUEUE)
+        .index("status_timestamp");
+
+      let remaining = size;
+      let evicted = 0;
+      const mediaIds = [];
+
+      // Products with changes still waiting to sync or for the user
+      const queued = new Set();
+      const statuses = ["pending", "conflict"];
+      let loaded = 0;
+      statuses.forEach((status) => {
+        const request = queueIndex.getAll(
+          IDBKeyRange.bound([status], [status, []])
+        );
         request.onsuccess = () => {
-          const data = request.result;
-          totalSize += new Blob([JSON.stringify(data)]).size;
-          resolve();
+          request.result
+            .filter((item) => item.data)
+            .forEach((item) => queued.add(item.data.localId));
+          if (++loaded === statuses.length) evictOldest();
         };
-        request.onerror = resolve; // Ignore errors for size calculation
       });
-    }
 
-    return totalSize;
+      // Oldest view first; each photo is looked up as its product goes,
+      // and the lookup completes before the next product is read
+      const evictOldest = () => {
+        const cursorRequest = products.index("lastViewedAt").openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor || remaining <= target) return;
+
+          const product = cursor.value;
+          if (
+            product.synced === true &&
+            !product.deleted &&
+            !queued.has(product.id)
+          ) {
+            remaining -= new Blob([JSON.stringify(product)]).size;
+            if (product.mediaId) {
+              const mediaRequest = mediaStore.openCursor(product.mediaId);
+              mediaRequest.onsuccess = () => {
+                const media = mediaRequest.result;
+                if (!media) return;
+                remaining -= media.value.size || 0;
+                media.delete();
+              };
+              mediaIds.push(product.mediaId);
+            }
+            cursor.delete();
+            evicted++;
+          }
+          cursor.continue();
+        };
+      };
+
+      transaction.oncomplete = () => {
+        if (evicted > 0) {
+          console.log(
+            `Evicted ${evicted} products to stay within the storage budget`
+          );
+        } else {
+          console.warn(
+            "Storage budget exceeded but nothing can be evicted - the rest is unsynced"
+          );
+        }
+        resolve({
+          evicted,
+          freed: size - remaining,
+          size: remaining,
+          mediaIds,
+        });
+      };
+
+      transaction.onerror = () => {
+        console.error("Error evicting offline data:", transaction.error);
+        reject(transaction.error);
+      };
+    });
   }
 
   // Clear old processed sync items (cleanup)
@@ -0,0 +1,136 @@
+import { AuthService } from "./auth.js";
+import { SyncService } from "./sync-service.js";
+import { HttpCache } from "../config/http-cache.js";
+import { ViewStateCache } from "./view-state-cache.js";
+import { IndexedDBService } from "./indexeddb-service.js";
+
+// Explicit logout: removes everything the next person on this device could
+// see. Session expiry only calls AuthService.logout, so a user who logs back
+// in keeps their offline data and unsynced products.
+export class LogoutService {
+  // Service worker caches holding API responses and product photos
+  static USER_CACHE_PREFIXES = ["ecommerce-api", "ecommerce-images"];
+
+  // Resolves to false when the user chose to stay logged in
+  static async logout() {
+    if (!(await this.handleUnsyncedData())) {
+      return false;
+    }
+
+    SyncService.stopPeriodicSync();
+
+    // Needs the auth token, so it runs before the session is dropped
+    await this.unsubscribePush();
+
+    await Promise.all([
+      this.clearOfflineData(),
+      this.clearSavedAccountsData(),
+      this.clearServiceWorkerCaches(),
+    ]);
+    HttpCache.clear();
+    ViewStateCache.clear();
+
+    // Nobody can continue as a saved account without their password again
+    AuthService.forgetAccounts();
+    AuthService.logout();
+    console.log("Logged out and cleared local user data");
+    return true;
+  }
+
+  // Offer to sync products that only exist on this device before they are
+  // deleted; returns false if the user cancels the logout
+  static async handleUnsyncedData() {
+    const status = await SyncService.getSyncStatus();
+    const unsynced = Math.max(status.pendingSync, status.localProducts);
+    if (unsynced === 0) {
+      return true;
+    }
+
+    if (navigator.onLine) {
+      const syncFirst = confirm(
+        `You have ${unsynced} product(s) that are not synced yet. Sync them before logging out?`
+      );
+      if (syncFirst) {
+        try {
+          await SyncService.forceSync();
+        } catch (error) {
+          console.error("Sync before logout failed:", error);
+        }
+
+        const after = await SyncService.getSyncStatus();
+        if (Math.max(after.pendingSync, after.localProducts) === 0) {
+          return true;
+        }
+      }
+    }
+
+    return confirm(
+      navigator.onLine
+        ? "Some products could not be synced and will be deleted from this device. Log out anyway?"
+        : `You are offline, so ${unsynced} unsynced product(s) will be deleted from this device. Log out anyway?`
+    );
+  }
+
+  static async unsubscribePush() {
+    // Without an active service worker, serviceWorker.ready never resolves
+    if (!("serviceWorker" in navigator) || !navigator.serviceWorker.controller) {
+      return;
+    }
+
+    try {
+      const { NotificationService } = await import("./notification-service.js");
+      await NotificationService.unsubscribeFromPushNotifications();
+    } catch (error) {
+      console.warn("Failed to unsubscribe from push notifications:", error);
+    }
+  }
+
+  static async clearOfflineData() {
+    try {
+      await SyncService.clearOfflineData();
+    } catch (error) {
+      console.error("Failed to clear offline data:", error);
+    }
+  }
+
+  // The other saved accounts are forgotten too, so nothing would ever open
+  // their offline databases again
+  static async clearSavedAccountsData() {
+    const current = AuthService.getUserInfo();
+    const others = AuthService.getAccounts().filter(
+      (account) => !current || account.user.userId !== current.userId
+    );
+
+    await Promise.all(
+      others.map(async (account) => {
+        try {
+          await IndexedDBService.deleteDatabase(
+            IndexedDBService.getDatabaseName(account.user.userId)
+          );
+        } catch (error) {
+          console.error(
+            `Failed to clear offline data of ${account.user.name}:`,
+            error
+          );
+        }
+      })
+    );
+  }
+
+  static async clearServiceWorkerCaches() {
+    if (!("caches" in window)) return;
+
+    try {
+      const cacheNames = await caches.keys();
+      await Promise.all(
+        cacheNames
+          .filter((name) =>
+            this.USER_CACHE_PREFIXES.some((prefix) => name.startsWith(prefix))
+          )
+          .map((name) => caches.delete(name))
+      );
+    } catch (error) {
+      console.error("Failed to clear service worker caches:", error);
+    }
+  }
+}
@@ -0,0 +1,76 @@
+import { IndexedDBService } from "./indexeddb-service.js";
+
+// Product photos stored offline. Photos are kept as Blobs in IndexedDB's
+// media store and handed to views as object URLs, which stay valid until
+// the media is garbage-collected or another account becomes active.
+export class MediaService {
+  static objectUrls = new Map();
+
+  // Store a File, Blob or data URL (camera capture); resolves to its media id
+  static async save(photo) {
+    const blob =
+      typeof photo === "string" ? await (await fetch(photo)).blob() : photo;
+    const dimensions = await this.getDimensions(blob);
+    return IndexedDBService.saveMedia(blob, dimensions);
+  }
+
+  static async getDimensions(blob) {
+    if (typeof createImageBitmap !== "function") {
+      return {};
+    }
+
+    try {
+      const bitmap = await createImageBitmap(blob);
+      const dimensions = { width: bitmap.width, height: bitmap.height };
+      bitmap.close();
+      return dimensions;
+    } catch (error) {
+      console.warn("Could not read photo dimensions:", error);
+      return {};
+    }
+  }
+
+  static async getBlob(mediaId) {
+    const media = await IndexedDBService.getMedia(mediaId);
+    return media ? media.blob : null;
+  }
+
+  // The same URL is returned for every request of a media id
+  static async getObjectUrl(mediaId) {
+    if (this.objectUrls.has(mediaId)) {
+      return this.objectUrls.get(mediaId);
+    }
+
+    const blob = await this.getBlob(mediaId);
+    if (!blob) return null;
+
+    const url = URL.createObjectURL(blob);
+    this.objectUrls.set(mediaId, url);
+    return url;
+  }
+
+  static revoke(mediaId) {
+    const url = this.objectUrls.get(mediaId);
+    if (url) {
+      URL.revokeObjectURL(url);
+      this.objectUrls.delete(mediaId);
+    }
+  }
+
+  static revokeAll() {
+    this.objectUrls.forEach((url) => URL.revokeObjectURL(url));
+    this.objectUrls.clear();
+  }
+
+  // Delete photos nothing refers to any more
+  static async collectGarbage() {
+    try {
+      const deleted = await IndexedDBService.deleteOrphanedMedia();
+      deleted.forEach((mediaId) => this.revoke(mediaId));
+      return deleted.length;
+    } catch (error) {
+      console.error("Media garbage collection failed:", error);
+      return 0;
+    }
+  }
+}
@@ -0,0 +1,148 @@
+// Keeps the routing mode in one place so views can navigate without knowing
+// whether the app uses "#/products" (hash) or "/products" (history) URLs.
+export class NavigationService {
+  static mode = "hash";
+  static basePath = "";
+  static listeners = new Set();
+  static started = false;
+  // Set by navigate() so hashchange can tell in-app links from back/forward
+  static pendingPush = false;
+  static currentPath = null;
+  static previousPath = null;
+
+  static configure({ mode = "hash", basePath = "" } = {}) {
+    this.mode = mode === "history" && "pushState" in window.history ? "history" : "hash";
+    // "/ecommerce-app/" -> "/ecommerce-app", "/" -> ""
+    this.basePath = basePath.replace(/\/+$/, "");
+  }
+
+  static isHistoryMode() {
+    return this.mode === "history";
+  }
+
+  static start() {
+    if (this.started) return;
+    this.started = true;
+    this.currentPath = this.getCurrentPath();
+
+    if (this.isHistoryMode()) {
+      // Upgrade old "#/products" links to clean URLs
+      if (window.location.hash.startsWith("#/")) {
+        window.history.replaceState(
+          null,
+          "",
+          this.toUrl(window.location.hash.substring(1))
+        );
+      }
+
+      window.addEventListener("popstate", () => this.notifyListeners("pop"));
+    } else {
+      window.addEventListener("hashchange", () => {
+        const type = this.pendingPush ? "push" : "pop";
+        this.pendingPush = false;
+        this.notifyListeners(type);
+      });
+    }
+  }
+
+  // Current app path including the query string, e.g. "/products?location=1"
+  static getCurrentPath() {
+    if (!this.isHistoryMode()) {
+      return window.location.hash.substring(1) || "/";
+    }
+
+    let path = window.location.pathname;
+    if (this.basePath && path.startsWith(this.basePath)) {
+      path = path.substring(this.basePath.length);
+    }
+    if (path === "/index.html") {
+      path = "/";
+    }
+    return (path || "/") + window.location.search;
+  }
+
+  static navigate(path, { replace = false } = {}) {
+    if (!this.isHistoryMode()) {
+      this.pendingPush = path !== this.getCurrentPath();
+      if (replace) {
+        window.location.replace(`#${path}`);
+      } else {
+        window.location.hash = path;
+      }
+      return;
+    }
+
+    if (path === this.getCurrentPath()) {
+      return;
+    }
+
+    if (replace) {
+      window.history.replaceState(null, "", this.toUrl(path));
+    } else {
+      window.history.pushState(null, "", this.toUrl(path));
+    }
+    this.notifyListeners("push");
+  }
+
+  // Go back in history when the previous page was fallbackPath (so its
+  // state and scroll position are restored), otherwise navigate to it
+  static back(fallbackPath) {
+    const previous = (this.previousPath || "").split("?")[0];
+    if (previous === fallbackPath.split("?")[0]) {
+      window.history.back();
+    } else {
+      this.navigate(fallbackPath);
+    }
+  }
+
+  // Build the href a link should use for an app path
+  static toUrl(path) {
+    return this.isHistoryMode() ? `${this.basePath}${path}` : `#${path}`;
+  }
+
+  // Turn a link href ("#/map", "/ecommerce-app/map") back into an app path
+  static toAppPath(href) {
+    if (href.startsWith("#/")) {
+      return href.substring(1);
+    }
+
+    const url = new URL(href, window.location.href);
+    if (url.origin !== window.location.origin) {
+      return null;
+    }
+
+    let path = url.pathname;
+    if (this.basePath && path.startsWith(this.basePath)) {
+      path = path.substring(this.basePath.length);
+    }
+    return (path || "/") + url.search;
+  }
+
+  // Rewrite "#/..." hrefs inside rendered markup to clean URLs in history mode
+  static rewriteLinks(root) {
+    if (!this.isHistoryMode() || !root) return;
+
+    root.querySelectorAll('a[href^="#/"]').forEach((link) => {
+      link.setAttribute("href", this.toUrl(link.getAttribute("href").substring(1)));
+    });
+  }
+
+  static subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // type is "push" for in-app navigation and "pop" for back/forward
+  static notifyListeners(type = "push") {
+    this.previousPath = this.currentPath;
+    this.currentPath = this.getCurrentPath();
+
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.getCurrentPath(), { type });
+      } catch (error) {
+        console.error("Error in navigation listener:", error);
+      }
+    });
+  }
+}
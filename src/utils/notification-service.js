@@ -1,4 +1,5 @@
-import { API_CONFIG } from "../config/api.js";
+import { ApiService } from "../config/api.js";
+import { AuthService } from "./auth.js";
 
 export class NotificationService {
   static async requestPermission() {
@@ -83,29 +84,13 @@ export class NotificationService {
       const subscription = await this.createPushSubscription(registration);
 
       // 4. Send subscription to server
-      const token = localStorage.getItem("authToken");
-      if (!token) {
+      if (!AuthService.isAuthenticated()) {
         throw new Error("User not authenticated");
       }
 
-      const response = await fetch(
-        `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.NOTIFICATIONS}`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify({ subscription }),
-        }
-      );
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(
-          errorData.message || "Failed to subscribe to notifications"
-        );
-      }
+      // ApiService.request adds the auth header and throws with the server
+      // message on failure
+      await ApiService.subscribeNotification(subscription);
 
       console.log("Successfully subscribed to push notifications");
       return true;
@@ -124,19 +109,10 @@ export class NotificationService {
         await subscription.unsubscribe();
 
         // Send unsubscribe to server
-        const token = localStorage.getItem("authToken");
-        if (token) {
-          const response = await fetch(
-            `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.NOTIFICATIONS}`,
-            {
-              method: "DELETE",
-              headers: {
-                Authorization: `Bearer ${token}`,
-              },
-            }
-          );
-
-          if (!response.ok) {
+        if (AuthService.isAuthenticated()) {
+          try {
+            await ApiService.unsubscribeNotification(subscription.endpoint);
+          } catch (error) {
             console.warn(
               "Failed to unsubscribe from server, but local subscription removed"
             );
@@ -0,0 +1,46 @@
+import { AuthService } from "./auth.js";
+
+// Each guard receives the matched route and the current location ({ path, query, fullPath }).
+// It returns true to let navigation continue, or a path to redirect to instead.
+export class RouteGuards {
+  static requireAuth(route, location) {
+    if (!route.requiresAuth || AuthService.isAuthenticated()) {
+      return true;
+    }
+
+    // Remember where the user was going so login can send them back
+    return `/login?redirect=${encodeURIComponent(location.fullPath)}`;
+  }
+
+  static guestOnly(route, location) {
+    if (!route.guestOnly || !AuthService.isAuthenticated()) {
+      return true;
+    }
+
+    // Logged-in users may still sign in to an extra account
+    if (location.query.account === "add") {
+      return true;
+    }
+
+    return "/";
+  }
+
+  static requireRoles(route) {
+    if (!route.roles || route.roles.length === 0) {
+      return true;
+    }
+
+    return route.roles.some((role) => AuthService.hasRole(role)) ? true : "/";
+  }
+
+  static defaultGuards() {
+    return [this.requireAuth, this.guestOnly, this.requireRoles];
+  }
+
+  // Only accept in-app paths as redirect targets
+  static isSafeRedirect(path) {
+    return (
+      typeof path === "string" && path.startsWith("/") && !path.startsWith("//")
+    );
+  }
+}
@@ -0,0 +1,90 @@
+import { IndexedDBService } from "./indexeddb-service.js";
+import { SearchTokenizer } from "./search-tokenizer.js";
+import { SyncService } from "./sync-service.js";
+
+// Full-text search over the products stored on this device. The index is
+// kept up to date whenever products are cached or added, so searching
+// never needs the network and gives the same results online and offline.
+export class SearchService {
+  static MAX_RESULTS = 50;
+  static MAX_SUGGESTIONS = 6;
+  // Recent searches are kept per account in user_data
+  static RECENT_KEY = "recent_searches";
+  static MAX_RECENT = 8;
+
+  // Display-ready products matching every word of the query, best match
+  // first. Later words may be unfinished: "sep mer" finds "Sepatu Merah".
+  static async search(query, { location = 0, limit = this.MAX_RESULTS } = {}) {
+    const terms = SearchTokenizer.queryTerms(query);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const products = await IndexedDBService.findProductsByTokens(terms);
+    const ranked = products
+      .filter((product) => location !== 1 || (product.lat && product.lon))
+      .map((product) => ({ product, score: this.score(product, terms) }))
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          (b.product.createdAt || "").localeCompare(a.product.createdAt || "")
+      )
+      .slice(0, limit);
+
+    return Promise.all(
+      ranked.map(({ product }) => SyncService.formatProductForDisplay(product))
+    );
+  }
+
+  // Products to offer while the query is still being typed
+  static suggest(query, limit = this.MAX_SUGGESTIONS) {
+    return this.search(query, { limit });
+  }
+
+  // Most recent first
+  static async getRecentSearches() {
+    try {
+      return (await IndexedDBService.getUserData(this.RECENT_KEY)) || [];
+    } catch (error) {
+      console.error("Error loading recent searches:", error);
+      return [];
+    }
+  }
+
+  static async addRecentSearch(query) {
+    const text = query.trim();
+    if (!text) return;
+
+    // Searching again moves a query back to the top instead of repeating it
+    const recent = (await this.getRecentSearches()).filter(
+      (item) => item.toLowerCase() !== text.toLowerCase()
+    );
+    await IndexedDBService.saveUserData(
+      this.RECENT_KEY,
+      [text, ...recent].slice(0, this.MAX_RECENT)
+    );
+  }
+
+  static async clearRecentSearches() {
+    await IndexedDBService.deleteUserData(this.RECENT_KEY);
+  }
+
+  // Matches in the name count more than in the description, whole words
+  // more than prefixes
+  static score(product, terms) {
+    const nameTokens = SearchTokenizer.productTokens({ name: product.name });
+    const descriptionTokens = SearchTokenizer.productTokens({
+      description: product.description,
+    });
+
+    return terms.reduce((score, { word, stem }) => {
+      const isWord = (token) => token === word || token === stem;
+      const isPrefix = (token) => token.startsWith(word);
+
+      if (nameTokens.some(isWord)) return score + 4;
+      if (nameTokens.some(isPrefix)) return score + 3;
+      if (descriptionTokens.some(isWord)) return score + 2;
+      return score + 1;
+    }, 0);
+  }
+}
@@ -0,0 +1,99 @@
+// Turns product text into the tokens of the offline search index. Product
+// names and descriptions mix Indonesian and English, so words are reduced
+// with a light stemmer for both: common suffixes ("-s", "-ing", "-nya",
+// "-kan") and Indonesian prefixes ("me-", "ber-", "di-") are stripped. It
+// is deliberately crude - the index keeps each word next to its stem, and
+// queries are reduced the same way, so over-stemming only costs precision.
+export class SearchTokenizer {
+  static STOPWORDS = new Set([
+    // English
+    "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in",
+    "is", "it", "of", "on", "or", "the", "this", "that", "to", "with",
+    // Indonesian
+    "ada", "adalah", "akan", "atau", "dalam", "dan", "dari", "dengan", "di",
+    "ini", "itu", "juga", "ke", "pada", "untuk", "yang",
+  ]);
+  // Shortest stem an affix may leave behind
+  static MIN_STEM = 3;
+
+  // Lowercase words without accents or punctuation
+  static words(text) {
+    return String(text || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      // "women's" is one word
+      .replace(/['\u2019]/g, "")
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  static stem(word) {
+    if (/\d/.test(word)) return word;
+    return this.stemIndonesian(this.stemEnglish(word));
+  }
+
+  static stemEnglish(word) {
+    const rules = [
+      [/ies$/, "y"],
+      [/(ss|x|z|ch|sh)es$/, "$1"],
+      [/([^su])s$/, "$1"],
+      [/ing$/, ""],
+      [/ed$/, ""],
+      [/ly$/, ""],
+    ];
+
+    for (const [pattern, replacement] of rules) {
+      if (pattern.test(word)) {
+        const stem = word.replace(pattern, replacement);
+        return stem.length >= this.MIN_STEM ? stem : word;
+      }
+    }
+    return word;
+  }
+
+  static stemIndonesian(word) {
+    let stem = word;
+    // Particles, then possessives, then derivational suffixes
+    [/(lah|kah|pun)$/, /(nya|ku|mu)$/, /(kan|an)$/].forEach((pattern) => {
+      const stripped = stem.replace(pattern, "");
+      if (stripped.length >= this.MIN_STEM + 1) stem = stripped;
+    });
+
+    const prefix = stem.match(
+      /^(meng|meny|mem|men|me|peng|peny|pem|pen|per|pe|ber|be|ter|di|ke|se)/
+    );
+    if (prefix && stem.length - prefix[0].length >= this.MIN_STEM + 1) {
+      stem = stem.slice(prefix[0].length);
+    }
+    return stem;
+  }
+
+  // Single letters say nothing about a product; numbers do
+  static isMeaningful(word) {
+    return !this.STOPWORDS.has(word) && (word.length > 1 || /\d/.test(word));
+  }
+
+  // Index tokens for a product: every word and its stem, once each
+  static productTokens({ name, description } = {}) {
+    const tokens = new Set();
+    this.words(`${name || ""} ${description || ""}`)
+      .filter((word) => this.isMeaningful(word))
+      .forEach((word) => {
+        tokens.add(word);
+        tokens.add(this.stem(word));
+      });
+    return Array.from(tokens);
+  }
+
+  // Terms of a search query as { word, stem }. Stopwords and single letters
+  // are dropped unless the query has nothing else.
+  static queryTerms(query) {
+    const words = this.words(query);
+    const meaningful = words.filter((word) => this.isMeaningful(word));
+
+    return Array.from(new Set(meaningful.length > 0 ? meaningful : words)).map(
+      (word) => ({ word, stem: this.stem(word) })
+    );
+  }
+}
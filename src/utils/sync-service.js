@@ -1,30 +1,63 @@
 // src/utils/sync-service.js - Fixed Version
 import { IndexedDBService } from "./indexeddb-service.js";
 import { ApiService } from "../config/api.js";
+import {
+  ApiError,
+  AuthError,
+  ConflictError,
+  NetworkError,
+  OfflineError,
+  UnsupportedError,
+  ValidationError,
+} from "../config/api-errors.js";
 import { AuthService } from "./auth.js";
+import { MediaService } from "./media-service.js";
+import { ConflictResolver } from "./conflict-resolver.js";
 
 export class SyncService {
   static isSyncing = false;
+  // Account whose queue the running sync is working through
+  static syncUserId = null;
   static syncInterval = null;
   static lastSyncTime = null;
   static syncListeners = new Set();
+  static storageCheckTimer = null;
+  // Product fields a local edit can change
+  static EDITABLE_FIELDS = ["name", "description", "lat", "lon", "mediaId"];
+  static initPromise = null;
 
-  static async init() {
+  // Runs once however often it is called: the module starts it on load
+  // and main.js waits for it, and a second run would double every listener
+  static init() {
+    if (!this.initPromise) {
+      this.initPromise = this.setup();
+    }
+    return this.initPromise;
+  }
+
+  static async setup() {
     if (!IndexedDBService.isSupported()) {
       console.warn("IndexedDB is not supported in this browser");
       return;
     }
 
     try {
-      // Initialize IndexedDB
-      await IndexedDBService.init();
+      // Initialize IndexedDB with the logged-in user's own database
+      await IndexedDBService.useUser(this.getActiveUserId());
 
       // Load last sync time
       this.lastSyncTime = await IndexedDBService.getUserData("last_sync_time");
 
+      // Follow login/logout so every account only sees its own data
+      AuthService.addListener("session_started", () => this.switchUser());
+      AuthService.addListener("session_ended", () => this.switchUser());
+
       // Start periodic sync
       this.startPeriodicSync();
 
+      // Photos left behind by products deleted in an earlier visit
+      MediaService.collectGarbage();
+
       // Sync when coming online
       window.addEventListener("online", () => {
         console.log("Device online - starting sync");
@@ -44,6 +77,29 @@ export class SyncService {
     }
   }
 
+  static getActiveUserId() {
+    const user = AuthService.getUserInfo();
+    return user ? user.userId : null;
+  }
+
+  static async switchUser() {
+    // Object URLs point into the previous account's database
+    MediaService.revokeAll();
+
+    try {
+      await IndexedDBService.useUser(this.getActiveUserId());
+      this.lastSyncTime = await IndexedDBService.getUserData("last_sync_time");
+    } catch (error) {
+      console.error("Failed to switch offline database:", error);
+      return;
+    }
+
+    // Products queued while this account was in the background
+    if (navigator.onLine && AuthService.isAuthenticated()) {
+      this.syncOfflineData();
+    }
+  }
+
   static startPeriodicSync() {
     // Clear existing interval
     if (this.syncInterval) {
@@ -71,103 +127,220 @@ export class SyncService {
       return;
     }
 
+    // Only ever sync a user's own queue, with that user's token
+    const userId = this.getActiveUserId();
+    if (
+      !AuthService.isAuthenticated() ||
+      !userId ||
+      userId !== IndexedDBService.userId
+    ) {
+      console.log("Sync skipped - no logged-in user for this database");
+      return;
+    }
+
     this.isSyncing = true;
+    this.syncUserId = userId;
     this.notifyListeners("sync_started");
 
     console.log("Starting offline data sync...");
 
+    // A switch can land while a request is out; the run keeps writing to
+    // this account's database and sending its token until it stops
+    let run = null;
+
     try {
+      run = {
+        db: await IndexedDBService.hold(),
+        token: AuthService.getToken(),
+      };
+
       // Sync pending items first
-      await this.syncPendingItems();
+      await this.syncPendingItems(run);
 
       // Then sync local products
-      await this.syncLocalProducts();
+      await this.syncLocalProducts(run);
+
+      if (this.accountChanged()) {
+        console.log("Account switched during sync - stopped early");
+        this.notifyListeners("sync_completed", { success: false });
+        return;
+      }
 
       // Update last sync time
       this.lastSyncTime = new Date().toISOString();
-      await IndexedDBService.saveUserData("last_sync_time", this.lastSyncTime);
+      await run.db.saveUserData("last_sync_time", this.lastSyncTime);
+
+      // Queued uploads that finished no longer hold on to their photos
+      await MediaService.collectGarbage();
+      this.scheduleStorageCheck();
 
       console.log("Offline data sync completed successfully");
       this.notifyListeners("sync_completed", { success: true });
     } catch (error) {
       console.error("Sync failed:", error);
-      this.notifyListeners("sync_failed", { error: error.message });
+      this.notifyListeners("sync_failed", {
+        error: error.message,
+        authRequired: error instanceof AuthError,
+      });
     } finally {
+      if (run) {
+        run.db.release();
+      }
+      const switched = this.accountChanged();
       this.isSyncing = false;
+      this.syncUserId = null;
+
+      // Pick up the newly active account's queue
+      if (switched) {
+        this.syncOfflineData();
+      }
     }
   }
 
-  static async syncPendingItems() {
+  // Another account became active while syncing; the remaining items are
+  // not theirs and must not be sent with their token
+  static accountChanged() {
+    return this.syncUserId !== this.getActiveUserId();
+  }
+
+  static async syncPendingItems(run) {
     try {
-      const pendingItems = await IndexedDBService.getPendingSyncItems();
+      const pendingItems = await run.db.getPendingSyncItems();
       console.log(`Found ${pendingItems.length} pending sync items`);
+      let unsupported = 0;
 
       for (const item of pendingItems) {
+        if (this.accountChanged()) break;
+
         try {
-          await this.processSyncItem(item);
-          await IndexedDBService.markSyncItemAsProcessed(item.id);
+          await this.processSyncItem(item, run);
+          await run.db.markSyncItemAsProcessed(item.id);
           console.log(`Successfully synced item: ${item.type}`, item.id);
         } catch (error) {
           console.error(`Failed to sync item ${item.id}:`, error);
 
+          // Retrying won't help without a valid session; stop the whole sync
+          if (error instanceof AuthError) {
+            throw error;
+          }
+
+          // The server rejected the data itself, so it will never sync
+          if (error instanceof ValidationError) {
+            await this.abandonSyncItem(item, run.db);
+            console.warn(`Sync item ${item.id} rejected: ${error.message}`);
+            continue;
+          }
+
+          // Stays queued in case the backend gains the endpoint (or the
+          // user switches to one that has it); counting attempts would
+          // throw the change away
+          if (error instanceof UnsupportedError) {
+            unsupported++;
+            continue;
+          }
+
+          // Parked until the user picks a version (see resolveConflict)
+          if (error instanceof ConflictError && error.conflict) {
+            console.warn(`Sync item ${item.id} needs review: ${error.message}`);
+            continue;
+          }
+
           // Increment attempt count
-          const attempts = await IndexedDBService.incrementSyncAttempts(
-            item.id
-          );
+          const attempts = await run.db.incrementSyncAttempts(item.id);
 
           // If too many attempts, mark as failed
           if (attempts >= 3) {
-            await IndexedDBService.markSyncItemAsProcessed(item.id);
+            await this.abandonSyncItem(item, run.db);
             console.warn(
               `Sync item ${item.id} failed after ${attempts} attempts`
             );
           }
         }
       }
+
+      if (unsupported > 0) {
+        this.notifyListeners("sync_unsupported", { count: unsupported });
+      }
     } catch (error) {
       console.error("Error in syncPendingItems:", error);
       throw error;
     }
   }
 
-  static async syncLocalProducts() {
+  // Give up on a queued change. An edit stops counting as pending, and a
+  // deletion the server never confirmed must not keep hiding the product,
+  // so its tombstone is lifted again.
+  static async abandonSyncItem(item, db) {
+    await db.markSyncItemAsProcessed(item.id);
+
+    // The edit is dropped, and the server's data shows again
+    if (item.type === "UPDATE_PRODUCT") {
+      await this.finishProductUpdate(item.data.localId, item.id, null, db);
+      this.notifyListeners("update_abandoned", {
+        localId: item.data.localId,
+        serverId: item.data.serverId,
+      });
+    }
+
+    if (item.type === "DELETE_PRODUCT") {
+      const product = await db.getProduct(item.data.localId);
+      if (product && product.deleted) {
+        await db.updateProduct(product.id, {
+          deleted: false,
+          deletedAt: null,
+        });
+        this.notifyListeners("product_restored", {
+          localId: product.id,
+          serverId: product.serverId,
+        });
+      }
+    }
+  }
+
+  static async syncLocalProducts(run) {
     try {
-      const localProducts = await IndexedDBService.getUnsyncedProducts();
+      const localProducts = await run.db.getUnsyncedProducts();
       console.log(`Found ${localProducts.length} local products to sync`);
 
       for (const product of localProducts) {
+        if (this.accountChanged()) break;
+
         try {
-          await this.syncProductToServer(product);
+          await this.syncProductToServer(product, run);
           console.log(`Successfully synced product: ${product.id}`);
         } catch (error) {
           console.error(`Failed to sync product ${product.id}:`, error);
+          if (error instanceof AuthError) {
+            throw error;
+          }
         }
       }
     } catch (error) {
       console.error("Error in syncLocalProducts:", error);
-      // Don't throw here, continue with other operations
+      // Don't throw here, continue with other operations - unless the
+      // session is gone, which the caller has to surface
+      if (error instanceof AuthError) {
+        throw error;
+      }
     }
   }
 
-  static async processSyncItem(item) {
-    const token = AuthService.getToken();
-    if (!token) {
-      throw new Error("No authentication token available");
+  static async processSyncItem(item, run) {
+    if (!run.token) {
+      throw new AuthError("No authentication token available");
     }
 
     switch (item.type) {
       case "ADD_PRODUCT":
-        await this.syncProductToServer(item.data);
+        await this.syncProductToServer(item.data, run);
         break;
 
       case "UPDATE_PRODUCT":
-        // Implement update logic if needed
-        console.log("Update product sync:", item.data);
+        await this.syncProductUpdate(item, run);
         break;
 
       case "DELETE_PRODUCT":
-        // Implement delete logic if needed
-        console.log("Delete product sync:", item.data);
+        await this.syncProductDeletion(item.data, run);
         break;
 
       default:
@@ -175,10 +348,9 @@ export class SyncService {
     }
   }
 
-  static async syncProductToServer(productData) {
-    const token = AuthService.getToken();
-    if (!token) {
-      throw new Error("User not authenticated");
+  static async syncProductToServer(productData, run) {
+    if (!run.token) {
+      throw new AuthError("User not authenticated");
     }
 
     try {
@@ -189,24 +361,9 @@ export class SyncService {
       const description = `${productData.name} - ${productData.description}`;
       formData.append("description", description);
 
-      // Handle photo - convert base64 to blob if needed
-      if (productData.photo) {
-        if (productData.photo instanceof File) {
-          formData.append("photo", productData.photo);
-        } else if (
-          typeof productData.photo === "string" &&
-          productData.photo.startsWith("data:")
-        ) {
-          // Convert base64 to blob
-          const response = await fetch(productData.photo);
-          const blob = await response.blob();
-          formData.append("photo", blob, "product.jpg");
-        } else if (productData.photoUrl) {
-          // Use photo URL if available
-          const response = await fetch(productData.photoUrl);
-          const blob = await response.blob();
-          formData.append("photo", blob, "product.jpg");
-        }
+      const photo = await this.getProductPhoto(productData, run.db);
+      if (photo) {
+        formData.append("photo", photo, photo.name || "product.jpg");
       }
 
       // Add location if available
@@ -216,24 +373,26 @@ export class SyncService {
       }
 
       // Send to server
-      const response = await ApiService.addStory(token, formData);
+      const response = await ApiService.addStory(formData, {
+        token: run.token,
+      });
 
       if (!response.error) {
+        // Queued items carry the product's id as localId
+        const localId = productData.localId || productData.id;
+
         // Mark product as synced
-        await IndexedDBService.markProductAsSynced(
-          productData.id,
-          response.data.id
-        );
+        await run.db.markProductAsSynced(localId, response.data.id);
 
         // Notify success
         this.notifyListeners("product_synced", {
-          localId: productData.id,
+          localId,
           serverId: response.data.id,
         });
 
         return response.data;
       } else {
-        throw new Error(response.message || "Failed to sync product");
+        throw new ApiError(response.message || "Failed to sync product");
       }
     } catch (error) {
       console.error("Error syncing product to server:", error);
@@ -241,8 +400,283 @@ export class SyncService {
     }
   }
 
+  // Send a queued edit. Every UPDATE_PRODUCT item holds the product's full
+  // editable state, so replaying them in order is safe. The server copy is
+  // checked first: if it changed since the edit started, the configured
+  // conflict strategy decides what is sent, if anything.
+  static async syncProductUpdate(item, run) {
+    const { localId, serverId } = item.data;
+
+    try {
+      let update = item.data;
+      const product = await run.db.getProduct(localId);
+      if (product && product.base) {
+        update = await this.checkServerCopy(item, product, run);
+        // The server's version was kept, so there is nothing to send
+        if (!update) return;
+      }
+
+      const response = await ApiService.updateStory(
+        serverId,
+        await this.createUpdateFormData(update, run.db),
+        { token: run.token }
+      );
+      await this.finishProductUpdate(
+        localId,
+        item.id,
+        response.story,
+        run.db
+      );
+    } catch (error) {
+      if (this.isGoneError(error) && (await this.isStoryGone(serverId, run))) {
+        // Deleted on the server in the meantime; so is the local copy
+        console.warn(`Product ${serverId} no longer exists on the server`);
+        await run.db.deleteProduct(localId);
+        this.notifyListeners("product_removed", { localId, serverId });
+        return;
+      }
+      throw error;
+    }
+
+    this.notifyListeners("product_synced", { localId, serverId });
+  }
+
+  static async createUpdateFormData(productData, db) {
+    const formData = new FormData();
+    formData.append(
+      "description",
+      ConflictResolver.joinDescription(
+        productData.name,
+        productData.description
+      )
+    );
+
+    if (productData.photoChanged) {
+      const photo = await this.getProductPhoto(productData, db);
+      if (photo) {
+        formData.append("photo", photo, photo.name || "product.jpg");
+      }
+    }
+
+    if (productData.lat && productData.lon) {
+      formData.append("lat", productData.lat.toString());
+      formData.append("lon", productData.lon.toString());
+    }
+    return formData;
+  }
+
+  // What to send for a queued edit: its own data when the server copy is
+  // unchanged, the resolved version after a conflict, or null when the
+  // server's version wins. Throws ConflictError when the user has to
+  // decide.
+  static async checkServerCopy(item, product, run) {
+    const response = await ApiService.getStory(product.serverId, {
+      token: run.token,
+    });
+    // Offline and timeout responses carry no story; try again later
+    if (!response.story) {
+      throw new NetworkError(
+        `Could not load product ${product.serverId} to check for conflicts`
+      );
+    }
+    const server = ConflictResolver.snapshot(
+      this.createServerRecord(response.story)
+    );
+    const conflict = ConflictResolver.detect(
+      product.base,
+      ConflictResolver.snapshot(product),
+      server
+    );
+    if (!conflict) return item.data;
+
+    const strategy = await ConflictResolver.getStrategy(run.db);
+    const picks = ConflictResolver.resolve(conflict, strategy);
+
+    if (!picks) {
+      await run.db.markSyncItemConflict(item.id, conflict);
+      await run.db.updateProduct(product.id, {
+        conflictItemId: item.id,
+      });
+      this.notifyListeners("sync_conflict", {
+        localId: product.id,
+        serverId: product.serverId,
+        fields: conflict.fields,
+      });
+      throw new ConflictError(
+        `Product ${product.serverId} was also changed on the server`,
+        { status: 409, conflict }
+      );
+    }
+
+    console.log(
+      `Conflict on product ${product.serverId} resolved with ${strategy}`
+    );
+    return this.applyResolution(item, product, conflict, picks, run.db);
+  }
+
+  // Store the picked version locally. Returns the queue data to send, or
+  // null when nothing local was kept. Later queued edits of the product
+  // are already part of conflict.local, so they are dropped.
+  static async applyResolution(
+    item,
+    product,
+    conflict,
+    picks,
+    db = IndexedDBService
+  ) {
+    const pending = await db.getPendingSyncItemsFor(product.id);
+    for (const other of pending) {
+      if (other.id !== item.id && other.type === "UPDATE_PRODUCT") {
+        await db.markSyncItemAsProcessed(other.id);
+      }
+    }
+
+    if (!ConflictResolver.keepsLocalChanges(conflict, picks)) {
+      const { server } = conflict;
+      await db.updateProduct(product.id, {
+        name: server.name,
+        description: ConflictResolver.joinDescription(
+          server.name,
+          server.description
+        ),
+        lat: server.lat,
+        lon: server.lon,
+        photoUrl: server.photoUrl,
+        mediaId: null,
+        serverUpdatedAt: server.version,
+        pendingChanges: false,
+        base: null,
+        conflictItemId: null,
+      });
+      this.notifyListeners("conflict_resolved", {
+        localId: product.id,
+        serverId: product.serverId,
+        kept: "server",
+      });
+      return null;
+    }
+
+    const { photoChanged, ...merged } = ConflictResolver.merge(
+      conflict,
+      picks
+    );
+    const data = {
+      localId: product.id,
+      serverId: product.serverId,
+      ...merged,
+      photoChanged,
+    };
+
+    // The server copy is the new base, so a retry doesn't see the same
+    // conflict again
+    await db.updateProduct(product.id, {
+      ...merged,
+      pendingChanges: true,
+      base: conflict.server,
+      conflictItemId: null,
+    });
+    await db.updateSyncItemData(item.id, data);
+    this.notifyListeners("conflict_resolved", {
+      localId: product.id,
+      serverId: product.serverId,
+      kept: "local",
+    });
+    return data;
+  }
+
+  // The product has no unsent edits once its last queued update is done.
+  // The story the server answered with is the base of the next one.
+  static async finishProductUpdate(
+    localId,
+    itemId,
+    story = null,
+    db = IndexedDBService
+  ) {
+    const pending = await db.getPendingSyncItemsFor(localId);
+    const moreUpdates = pending.some(
+      (other) => other.id !== itemId && other.type === "UPDATE_PRODUCT"
+    );
+    if (!(await db.getProduct(localId))) return;
+
+    if (moreUpdates) {
+      await db.updateProduct(localId, {
+        base: story
+          ? ConflictResolver.snapshot(this.createServerRecord(story))
+          : null,
+      });
+      return;
+    }
+
+    const updates = { pendingChanges: false, base: null };
+    if (story) {
+      updates.serverUpdatedAt = story.updatedAt || null;
+    }
+    await db.updateProduct(localId, updates);
+  }
+
+  // The tombstone stays until the server stops listing the product
+  static async syncProductDeletion({ serverId }, run) {
+    try {
+      await ApiService.deleteStory(serverId, { token: run.token });
+    } catch (error) {
+      // Already gone is what we wanted
+      if (
+        !this.isGoneError(error) ||
+        !(await this.isStoryGone(serverId, run))
+      ) {
+        throw error;
+      }
+    }
+  }
+
+  static isGoneError(error) {
+    return (
+      error instanceof ApiError && (error.status === 404 || error.status === 410)
+    );
+  }
+
+  // A 404 from PUT or DELETE may only mean the endpoint doesn't exist;
+  // the story is gone when reading it says so too
+  static async isStoryGone(serverId, run) {
+    try {
+      await ApiService.getStory(serverId, { token: run.token });
+      return false;
+    } catch (error) {
+      if (this.isGoneError(error)) return true;
+      throw error;
+    }
+  }
+
+  // The stored Blob for offline products, or the photo downloaded again
+  // for ones that only have a URL
+  static async getProductPhoto(productData, db) {
+    if (productData.mediaId) {
+      const media = await db.getMedia(productData.mediaId);
+      if (media) return media.blob;
+    }
+
+    if (productData.photo instanceof Blob) {
+      return productData.photo;
+    }
+
+    if (productData.photoUrl) {
+      const response = await fetch(productData.photoUrl);
+      return response.blob();
+    }
+
+    return null;
+  }
+
   // ADD PRODUCT WITH OFFLINE SUPPORT
-  static async addProductWithSync(productData) {
+  static async addProductWithSync({ photo, ...productData }) {
+    // Unsynced products must survive the browser clearing storage
+    IndexedDBService.requestPersistentStorage();
+
+    // The photo goes to the media store; the product keeps a reference
+    if (photo) {
+      productData.mediaId = await MediaService.save(photo);
+    }
+
     // First add to local IndexedDB
     const localId = await IndexedDBService.addProduct(productData);
 
@@ -264,82 +698,376 @@ export class SyncService {
     return localId;
   }
 
+  // A product by its local or server id, as stored on this device
+  static async findLocalProduct(id) {
+    return (
+      (await IndexedDBService.getProduct(id)) ||
+      (await IndexedDBService.getProductByServerId(id))
+    );
+  }
+
+  // The stored record to edit. A product only seen on the server is cached
+  // first, so the edit can be saved locally like any other.
+  static async getEditableProduct(id, { signal } = {}) {
+    let product = await this.findLocalProduct(id);
+
+    if (!product && navigator.onLine && AuthService.isAuthenticated()) {
+      const response = await ApiService.getStory(id, { signal });
+      if (response.story) {
+        await this.cacheServerProducts([response.story]);
+        product = await IndexedDBService.getProductByServerId(id);
+      }
+    }
+
+    return product && !product.deleted ? product : null;
+  }
+
+  // EDIT PRODUCT WITH OFFLINE SUPPORT
+  // Saved locally right away and queued for the server. Resolves to the
+  // product's local id.
+  static async updateProductWithSync(id, { photo, ...changes }) {
+    const product = await this.findLocalProduct(id);
+    if (!product || product.deleted) {
+      throw new Error("Product not found");
+    }
+
+    if (photo) {
+      changes.mediaId = await MediaService.save(photo);
+    }
+
+    const updates = {};
+    this.EDITABLE_FIELDS.forEach((field) => {
+      if (changes[field] !== undefined) updates[field] = changes[field];
+    });
+    const edited = { ...product, ...updates };
+
+    if (product.conflictItemId) {
+      // Becomes part of "your version" when the open conflict is resolved
+      await IndexedDBService.updateProduct(product.id, {
+        ...updates,
+        pendingChanges: true,
+      });
+    } else if (product.serverId) {
+      await IndexedDBService.updateProduct(product.id, {
+        ...updates,
+        pendingChanges: true,
+        // The server copy this edit starts from, to detect conflicts
+        base: product.pendingChanges
+          ? product.base || null
+          : ConflictResolver.snapshot(product),
+      });
+      await IndexedDBService.addToSyncQueue("UPDATE_PRODUCT", {
+        localId: product.id,
+        serverId: product.serverId,
+        name: edited.name,
+        description: edited.description,
+        lat: edited.lat,
+        lon: edited.lon,
+        mediaId: edited.mediaId,
+        photoChanged: !!photo,
+      });
+    } else {
+      // Not on the server yet: the queued upload sends the edited product
+      await IndexedDBService.updateProduct(product.id, updates);
+      const pending = await IndexedDBService.getPendingSyncItemsFor(product.id);
+      for (const item of pending.filter((i) => i.type === "ADD_PRODUCT")) {
+        await IndexedDBService.updateSyncItemData(item.id, updates);
+      }
+    }
+
+    this.notifyListeners("product_updated", { localId: product.id });
+    this.syncAfterChange();
+    return product.id;
+  }
+
+  // DELETE PRODUCT WITH OFFLINE SUPPORT
+  static async deleteProductWithSync(id) {
+    const product = await this.findLocalProduct(id);
+    if (!product || product.deleted) {
+      throw new Error("Product not found");
+    }
+
+    // Queued uploads and edits of the product are moot now
+    const pending = await IndexedDBService.getPendingSyncItemsFor(product.id);
+    for (const item of pending) {
+      await IndexedDBService.markSyncItemAsProcessed(item.id);
+    }
+    if (product.conflictItemId) {
+      await IndexedDBService.markSyncItemAsProcessed(product.conflictItemId);
+    }
+
+    if (product.serverId) {
+      await IndexedDBService.markProductDeleted(product.id);
+      await IndexedDBService.addToSyncQueue("DELETE_PRODUCT", {
+        localId: product.id,
+        serverId: product.serverId,
+      });
+    } else {
+      // Never reached the server, so there is nothing to tell it
+      await IndexedDBService.deleteProduct(product.id);
+    }
+
+    if (product.mediaId) {
+      MediaService.collectGarbage();
+    }
+
+    this.notifyListeners("product_deleted", {
+      localId: product.id,
+      serverId: product.serverId,
+    });
+    this.syncAfterChange();
+    return true;
+  }
+
+  static syncAfterChange() {
+    if (!navigator.onLine) return;
+
+    this.syncOfflineData().catch((error) => {
+      console.log("Immediate sync failed, change remains in queue:", error);
+    });
+  }
+
+  // Local edits and deletions the server hasn't seen yet win over its copy
+  static async applyLocalChanges(stories) {
+    const cached = await IndexedDBService.getProductsByServerIds(
+      stories.map((story) => story.id)
+    );
+
+    const visible = stories.filter((story) => {
+      const product = cached.get(story.id);
+      return !product || !product.deleted;
+    });
+
+    return Promise.all(
+      visible.map(async (story) => {
+        const product = cached.get(story.id);
+        return product && product.pendingChanges
+          ? { ...story, ...(await this.formatProductForDisplay(product)) }
+          : story;
+      })
+    );
+  }
+
   // GET PRODUCTS WITH OFFLINE SUPPORT
-  static async getProducts() {
+  // Without page/size the whole list is returned; with them a single page
+  static async getProducts({ page, size, location = 0, signal } = {}) {
     try {
       // Always try to get fresh data first if online
       if (navigator.onLine) {
         try {
-          const token = AuthService.getToken();
-          if (token) {
-            const serverProducts = await ApiService.getStories(token);
+          if (AuthService.isAuthenticated()) {
+            const serverProducts = await ApiService.getStories(location, {
+              page,
+              size,
+              signal,
+            });
 
-            // Cache server products in IndexedDB
+            // Cache server products in IndexedDB (a 304 has nothing new)
             if (
+              !serverProducts.notModified &&
               serverProducts.listStory &&
               serverProducts.listStory.length > 0
             ) {
-              await this.cacheServerProducts(serverProducts.listStory);
+              // Only the unfiltered list shows what was deleted
+              const covers =
+                location === 0
+                  ? {
+                      newest: !page || page === 1,
+                      oldest: !size || serverProducts.listStory.length < size,
+                    }
+                  : null;
+              await this.cacheServerProducts(serverProducts.listStory, covers);
+              this.scheduleStorageCheck();
             }
 
-            return serverProducts;
+            if (!ApiService.isOfflineResponse(serverProducts)) {
+              const listStory = serverProducts.listStory || [];
+              return {
+                ...serverProducts,
+                listStory: await this.applyLocalChanges(listStory),
+                // Paging goes by what the server sent, before deletions
+                // were filtered out
+                received: listStory.length,
+              };
+            }
           }
         } catch (error) {
+          // An expired session has to reach the view so it can ask for login
+          if (ApiService.isAbortError(error) || error instanceof AuthError) {
+            throw error;
+          }
           console.log("Failed to fetch from server, using cached data:", error);
         }
       }
 
-      // Fallback to local data
-      const localProducts = await IndexedDBService.getAllProducts();
-      const syncedProducts = localProducts.filter((p) => p.synced);
+      // Fallback to local data, newest first
+      const query = IndexedDBService.query(IndexedDBService.STORES.PRODUCTS)
+        .where("syncStatus", "synced")
+        .orderBy("createdAt", "desc");
+
+      if (location === 1) {
+        query.filter((p) => p.lat && p.lon);
+      }
+
+      if (page && size) {
+        query.offset((page - 1) * size).limit(size);
+      }
+
+      const syncedProducts = await query.toArray();
+      await IndexedDBService.markProductsViewed(
+        syncedProducts.map((p) => p.id)
+      );
 
       return {
         error: false,
         message: navigator.onLine ? "online" : "offline",
-        data: {
-          listStory: syncedProducts.map((p) => this.formatProductForDisplay(p)),
-        },
+        listStory: await Promise.all(
+          syncedProducts.map((p) => this.formatProductForDisplay(p))
+        ),
         offline: !navigator.onLine,
       };
     } catch (error) {
+      // Cancelled requests and auth failures reach the caller instead of an
+      // empty list
+      if (ApiService.isAbortError(error) || error instanceof AuthError) {
+        throw error;
+      }
       console.error("Error getting products:", error);
       // Return empty data instead of throwing
       return {
         error: false,
         message: "error",
-        data: { listStory: [] },
+        listStory: [],
         offline: true,
       };
     }
   }
 
-  static async cacheServerProducts(serverProducts) {
-    for (const serverProduct of serverProducts) {
+  // Cursor over the product list: every next() loads one more page, from the
+  // server when online and from the IndexedDB cache otherwise
+  static async *getProductPages({
+    size = 12,
+    location = 0,
+    startPage = 1,
+    signal,
+  } = {}) {
+    let page = startPage;
+
+    while (true) {
+      const response = await this.getProducts({ page, size, location, signal });
+      const stories = response.listStory || [];
+      const received =
+        response.received !== undefined ? response.received : stories.length;
+      const done = received < size;
+
+      yield {
+        stories,
+        page,
+        done,
+        offline: ApiService.isOfflineResponse(response) || response.offline === true,
+        notModified: response.notModified === true,
+      };
+
+      if (done) return;
+      page++;
+    }
+  }
+
+  // GET SINGLE PRODUCT WITH OFFLINE SUPPORT
+  static async getProduct(id, { signal } = {}) {
+    if (navigator.onLine) {
       try {
-        // Check if product already exists locally
-        const existingProducts = await IndexedDBService.getAllProducts();
-        const existingProduct = existingProducts.find(
-          (p) => p.serverId === serverProduct.id
-        );
-
-        if (!existingProduct) {
-          // Add server product to local DB
-          await IndexedDBService.addProduct({
-            name: this.extractProductName(serverProduct.description),
-            description: serverProduct.description,
-            photoUrl: serverProduct.photoUrl,
-            lat: serverProduct.lat,
-            lon: serverProduct.lon,
-            serverId: serverProduct.id,
-            synced: true,
-            local: false,
-            createdAt: serverProduct.createdAt,
-          });
+        if (AuthService.isAuthenticated()) {
+          const response = await ApiService.getStory(id, { signal });
+          if (response.story) {
+            const cached = await IndexedDBService.getProductByServerId(id);
+            if (cached) {
+              await IndexedDBService.markProductsViewed([cached.id]);
+            }
+            if (cached && cached.deleted) {
+              return this.createNotFoundResponse();
+            }
+            const [story] = await this.applyLocalChanges([response.story]);
+            return { ...response, story };
+          }
         }
       } catch (error) {
-        console.error("Error caching server product:", error);
+        if (ApiService.isAbortError(error) || error instanceof AuthError) {
+          throw error;
+        }
+        console.log("Failed to fetch product from server, using cached data:", error);
       }
     }
+
+    // Fallback to local data - the id may be a local id or a server id
+    const product = await this.findLocalProduct(id);
+    if (!product || product.deleted) {
+      return this.createNotFoundResponse();
+    }
+
+    await IndexedDBService.markProductsViewed([product.id]);
+
+    return {
+      error: false,
+      message: "offline",
+      story: await this.formatProductForDisplay(product),
+      offline: true,
+    };
+  }
+
+  static createNotFoundResponse() {
+    return {
+      error: true,
+      message: "Product not found",
+      story: null,
+      offline: true,
+    };
+  }
+
+  // `covers` says which part of the server's list (newest first) the
+  // products are: { newest, oldest } are true when nothing comes before or
+  // after them. Cached products in the covered span that are missing from
+  // the list were deleted on the server.
+  static async cacheServerProducts(serverProducts, covers = null) {
+    const records = serverProducts.map((serverProduct) =>
+      this.createServerRecord(serverProduct)
+    );
+
+    let removeRange = null;
+    if (covers && records.length > 0) {
+      const createdAt = records.map((record) => record.createdAt).sort();
+      removeRange = {
+        from: covers.oldest ? null : createdAt[0],
+        to: covers.newest ? null : createdAt[createdAt.length - 1],
+      };
+    }
+
+    try {
+      const result = await IndexedDBService.upsertServerProducts(records, {
+        removeRange,
+      });
+      result.mediaIds.forEach((mediaId) => MediaService.revoke(mediaId));
+      return result;
+    } catch (error) {
+      console.error("Error caching server products:", error);
+      return null;
+    }
+  }
+
+  // A server story as a products store record. The live API has no
+  // updatedAt; without one there is no version, and conflict detection
+  // compares the fields instead.
+  static createServerRecord(serverProduct) {
+    return {
+      serverId: serverProduct.id,
+      name: this.extractProductName(serverProduct.description),
+      description: serverProduct.description,
+      photoUrl: serverProduct.photoUrl,
+      lat: serverProduct.lat,
+      lon: serverProduct.lon,
+      createdAt: serverProduct.createdAt,
+      serverUpdatedAt: serverProduct.updatedAt || null,
+    };
   }
 
   static extractProductName(description) {
@@ -350,15 +1078,24 @@ export class SyncService {
     return description || "Unnamed Product";
   }
 
-  static formatProductForDisplay(product) {
+  // Photos saved on this device are shown from their stored Blob
+  static async formatProductForDisplay(product) {
+    const mediaUrl = product.mediaId
+      ? await MediaService.getObjectUrl(product.mediaId)
+      : null;
+
     return {
       id: product.serverId || product.id,
       name: product.name,
       description: product.description,
-      photoUrl: product.photoUrl || product.photo,
+      photoUrl: mediaUrl || product.photoUrl,
       createdAt: product.createdAt,
       lat: product.lat,
       lon: product.lon,
+      // Edited here and not sent to the server yet
+      pendingChanges: !!product.pendingChanges,
+      // Also changed on the server; waiting for the user to pick
+      hasConflict: !!product.conflictItemId,
     };
   }
 
@@ -372,6 +1109,7 @@ export class SyncService {
         isSyncing: this.isSyncing,
         lastSync: this.lastSyncTime,
         pendingSync: stats.pendingSync,
+        conflicts: stats.conflicts,
         totalProducts: stats.totalProducts,
         syncedProducts: stats.syncedProducts,
         localProducts: stats.localProducts,
@@ -383,6 +1121,7 @@ export class SyncService {
         isSyncing: false,
         lastSync: null,
         pendingSync: 0,
+        conflicts: 0,
         totalProducts: 0,
         syncedProducts: 0,
         localProducts: 0,
@@ -390,9 +1129,102 @@ export class SyncService {
     }
   }
 
+  // CONFLICTS
+  // Open conflicts with both versions, ready to show side by side
+  static async getConflicts() {
+    const items = await IndexedDBService.getConflictItems();
+
+    return Promise.all(
+      items.map(async (item) => {
+        const product = await IndexedDBService.getProduct(item.data.localId);
+        // Edits made since the conflict was found are part of "yours"
+        const local = product
+          ? ConflictResolver.snapshot(product)
+          : item.conflict.local;
+
+        return {
+          itemId: item.id,
+          localId: item.data.localId,
+          serverId: item.data.serverId,
+          detectedAt: item.conflict.detectedAt,
+          fields: item.conflict.fields,
+          serverChanges: item.conflict.serverChanges,
+          base: item.conflict.base,
+          server: item.conflict.server,
+          local,
+          localPhotoUrl: local.mediaId
+            ? await MediaService.getObjectUrl(local.mediaId)
+            : local.photoUrl,
+        };
+      })
+    );
+  }
+
+  // Settle a conflict the user reviewed. picks maps each field to "local"
+  // or "server"; ConflictResolver.pickAll() keeps one whole version.
+  static async resolveConflict(itemId, picks) {
+    const item = await IndexedDBService.getSyncItem(itemId);
+    if (!item || item.status !== "conflict") {
+      throw new Error("Conflict not found");
+    }
+
+    const product = await IndexedDBService.getProduct(item.data.localId);
+    if (!product) {
+      await IndexedDBService.markSyncItemAsProcessed(itemId);
+      return;
+    }
+
+    const conflict = {
+      ...item.conflict,
+      local: ConflictResolver.snapshot(product),
+    };
+    const data = await this.applyResolution(item, product, conflict, picks);
+
+    if (data) {
+      await IndexedDBService.requeueSyncItem(itemId);
+      this.syncAfterChange();
+    } else {
+      await IndexedDBService.markSyncItemAsProcessed(itemId);
+    }
+  }
+
+  // STORAGE QUOTA
+
+  static async getStorageInfo() {
+    return IndexedDBService.getStorageEstimate();
+  }
+
+  static async requestPersistentStorage() {
+    return IndexedDBService.requestPersistentStorage();
+  }
+
+  // Caching a page of products is frequent; check the budget once things
+  // settle instead of measuring the database after every page
+  static scheduleStorageCheck() {
+    clearTimeout(this.storageCheckTimer);
+    this.storageCheckTimer = setTimeout(
+      () => this.enforceStorageBudget(),
+      5000
+    );
+  }
+
+  static async enforceStorageBudget() {
+    try {
+      const result = await IndexedDBService.enforceStorageBudget();
+      result.mediaIds.forEach((mediaId) => MediaService.revoke(mediaId));
+      if (result.evicted > 0) {
+        this.notifyListeners("storage_evicted", result);
+      }
+      return result;
+    } catch (error) {
+      console.error("Failed to enforce storage budget:", error);
+      return null;
+    }
+  }
+
   static async forceSync() {
     if (!navigator.onLine) {
-      throw new Error("Cannot sync while offline");
+      throw new OfflineError("Cannot sync while offline");
     }
 
     return await this.syncOfflineData();
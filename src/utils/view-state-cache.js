@@ -0,0 +1,45 @@
+// In-memory cache of per-route view state and scroll positions.
+// Views opt in by implementing saveState(); the router hands the saved
+// state back to the view's constructor as `savedState` on the next visit.
+export class ViewStateCache {
+  static MAX_ENTRIES = 20;
+  static states = new Map();
+  static scrollPositions = new Map();
+
+  static saveState(key, state) {
+    if (state === undefined || state === null) {
+      this.states.delete(key);
+      return;
+    }
+
+    // Re-insert so the most recently saved entry is evicted last
+    this.states.delete(key);
+    this.states.set(key, state);
+    this.trim(this.states);
+  }
+
+  static getState(key) {
+    return this.states.get(key) || null;
+  }
+
+  static saveScrollPosition(key, position) {
+    this.scrollPositions.delete(key);
+    this.scrollPositions.set(key, position);
+    this.trim(this.scrollPositions);
+  }
+
+  static getScrollPosition(key) {
+    return this.scrollPositions.get(key) || null;
+  }
+
+  static trim(map) {
+    while (map.size > this.MAX_ENTRIES) {
+      map.delete(map.keys().next().value);
+    }
+  }
+
+  static clear() {
+    this.states.clear();
+    this.scrollPositions.clear();
+  }
+}
@@ -1,6 +1,14 @@
 import { ApiService } from "../config/api.js";
-import { AuthService } from "../utils/auth.js";
+import {
+  NetworkError,
+  OfflineError,
+  AuthError,
+  ValidationError,
+  RateLimitError,
+  ServerError,
+} from "../config/api-errors.js";
 import { ViewTransition } from "../utils/view-transition.js";
+import { NavigationService } from "../utils/navigation-service.js";
 
 export class AddProductView {
   constructor() {
@@ -103,7 +111,7 @@ export class AddProductView {
 
       // Redirect to products page after 2 seconds
       setTimeout(() => {
-        window.location.hash = "/products";
+        NavigationService.navigate("/products");
       }, 2000);
     } catch (error) {
       console.error("Error adding product:", error);
@@ -129,17 +137,24 @@ export class AddProductView {
     }
   }
 
+  // Wording that differs between adding and editing (see EditProductView)
+  getFormText() {
+    return {
+      title: "Add New Product",
+      description: "Fill out the form below to add a new product to our store.",
+      photoLabel: "Product Photo *",
+      submit: "Add Product",
+      submitting: "Adding...",
+    };
+  }
+
   async render() {
-    // Check authentication
-    if (!AuthService.isAuthenticated()) {
-      window.location.hash = "/login";
-      return this.element;
-    }
+    const text = this.getFormText();
 
     this.element.innerHTML = `
       <section class="add-product-section" aria-labelledby="add-product-title">
-        <h1 id="add-product-title">Add New Product</h1>
-        <p class="section-description">Fill out the form below to add a new product to our store.</p>
+        <h1 id="add-product-title">${text.title}</h1>
+        <p class="section-description">${text.description}</p>
         
         <form id="add-product-form" class="product-form" novalidate>
           <div class="form-group">
@@ -175,7 +190,7 @@ export class AddProductView {
           </div>
 
           <div class="form-group">
-            <label class="form-label">Product Photo *</label>
+            <label class="form-label">${text.photoLabel}</label>
             
             <div class="photo-options">
               <div class="photo-option">
@@ -246,8 +261,8 @@ export class AddProductView {
 
           <div class="form-actions">
             <button type="submit" class="btn btn-secondary" id="submit-btn">
-              <span class="btn-text">Add Product</span>
-              <span class="btn-loading" style="display: none;">Adding...</span>
+              <span class="btn-text">${text.submit}</span>
+              <span class="btn-loading" style="display: none;">${text.submitting}</span>
             </button>
             <button type="button" class="btn btn-secondary" id="reset-btn">
               Reset Form
@@ -729,8 +744,7 @@ export class AddProductView {
         formData.append("lon", this.selectedLocation.lon.toString());
       }
 
-      const token = AuthService.getToken();
-      const response = await ApiService.addStory(token, formData);
+      const response = await ApiService.addStory(formData);
 
       if (!response.error) {
         this.showMessage(
@@ -743,7 +757,7 @@ export class AddProductView {
 
         // Redirect to products page after 2 seconds
         setTimeout(() => {
-          window.location.hash = "/products";
+          NavigationService.navigate("/products");
         }, 2000);
       } else {
         throw new Error(response.message || "Failed to add product");
@@ -752,23 +766,29 @@ export class AddProductView {
       console.error("Error adding product:", error);
       let errorMessage = "Error adding product: ";
 
-      if (
-        error.message.includes("network") ||
-        error.message.includes("Network")
-      ) {
+      if (error instanceof OfflineError) {
         errorMessage +=
-          "Network error. Please check your connection and try again.";
-      } else if (
-        error.message.includes("token") ||
-        error.message.includes("auth")
-      ) {
-        errorMessage += "Authentication error. Please login again.";
-      } else if (
-        error.message.includes("file") ||
-        error.message.includes("photo")
-      ) {
+          "You are offline. Please check your connection and try again.";
+      } else if (error instanceof NetworkError) {
+        errorMessage += error.timedOut
+          ? "The server took too long to respond. Please try again."
+          : "Network error. Please check your connection and try again.";
+      } else if (error instanceof AuthError) {
+        // ApiService's 401 handler is already redirecting to login
+        errorMessage += "Your session has expired. Please login again.";
+      } else if (error instanceof ValidationError) {
+        errorMessage += this.showFieldErrors(error.fields)
+          ? "Please fix the highlighted fields and try again."
+          : error.message;
+      } else if (error instanceof RateLimitError) {
+        errorMessage += error.retryAfter
+          ? `Too many requests. Please try again in ${Math.ceil(
+              error.retryAfter / 1000
+            )} seconds.`
+          : "Too many requests. Please wait a moment and try again.";
+      } else if (error instanceof ServerError) {
         errorMessage +=
-          "Invalid photo file. Please check the file requirements.";
+          "The server is having problems right now. Please try again later.";
       } else {
         errorMessage += error.message;
       }
@@ -800,6 +820,40 @@ export class AddProductView {
     }
   }
 
+  // Show server-side validation messages next to the matching inputs.
+  // Returns false when none of the fields exist in this form.
+  showFieldErrors(fields = {}) {
+    const fieldMap = {
+      description: { input: "product-description", error: "description-error" },
+      photo: { input: "product-photo", error: "photo-error" },
+    };
+    const usingCamera =
+      this.element.querySelector('input[name="photo-option"]:checked')
+        ?.value === "camera";
+    let shown = false;
+
+    Object.entries(fields).forEach(([field, message]) => {
+      const target = fieldMap[field];
+      if (!target) return;
+
+      if (field === "photo" && usingCamera) {
+        this.showCameraError(message);
+      } else {
+        const errorElement = this.element.querySelector(`#${target.error}`);
+        if (errorElement) {
+          errorElement.textContent = message;
+          errorElement.style.display = "block";
+        }
+        this.element
+          .querySelector(`#${target.input}`)
+          ?.setAttribute("aria-invalid", "true");
+      }
+      shown = true;
+    });
+
+    return shown;
+  }
+
   showPhotoError(message) {
     this.showError("product-photo", message);
   }
@@ -0,0 +1,274 @@
+import { ViewTransition } from "../utils/view-transition.js";
+import { SyncService } from "../utils/sync-service.js";
+import { ConflictResolver } from "../utils/conflict-resolver.js";
+import { NavigationService } from "../utils/navigation-service.js";
+
+// Products that were edited on this device while their server copy changed
+// too, with both versions side by side. The user keeps one of them or
+// picks field by field; the result syncs like any other edit.
+export class ConflictsView {
+  static STRATEGY_LABELS = {
+    merge: "Merge changes, ask when both sides changed the same field",
+    ask: "Always ask me",
+    "server-wins": "Keep the server version",
+    "client-wins": "Keep my version",
+  };
+
+  constructor() {
+    this.element = document.createElement("div");
+    this.element.className = "view conflicts-view";
+    this.element.setAttribute("role", "main");
+    this.element.setAttribute("aria-label", "Sync Conflicts");
+    this.conflicts = [];
+  }
+
+  async render() {
+    this.element.innerHTML = `
+      <section class="conflicts-section" aria-labelledby="conflicts-title">
+        <a href="${NavigationService.toUrl(
+          "/products"
+        )}" class="btn btn-text back-link" data-link>← Back to Products</a>
+        <h1 id="conflicts-title">Sync Conflicts</h1>
+        <p class="section-description">These products were changed on the server while you edited them here. Choose what to keep.</p>
+
+        <div class="form-group conflict-strategy">
+          <label for="conflict-strategy" class="form-label">When a new conflict is found</label>
+          <select id="conflict-strategy" class="form-select">
+            ${Object.keys(ConflictResolver.strategies)
+              .map(
+                (name) =>
+                  `<option value="${name}">${this.escapeHtml(
+                    ConflictsView.STRATEGY_LABELS[name] || name
+                  )}</option>`
+              )
+              .join("")}
+          </select>
+        </div>
+
+        <div id="conflicts-message" aria-live="polite"></div>
+        <div id="conflicts-list" class="conflicts-list"></div>
+      </section>
+    `;
+
+    this.element.querySelector("#conflict-strategy").value =
+      await ConflictResolver.getStrategy();
+    this.attachEventListeners();
+    SyncService.addListener("sync_conflict", this.handleConflictsChanged);
+
+    await this.loadConflicts();
+    await ViewTransition.fadeIn(this.element);
+    return this.element;
+  }
+
+  attachEventListeners() {
+    this.element
+      .querySelector("#conflict-strategy")
+      .addEventListener("change", async (e) => {
+        try {
+          await ConflictResolver.setStrategy(e.target.value);
+          this.showMessage("Conflict handling saved.", "success");
+        } catch (error) {
+          console.error("Error saving conflict strategy:", error);
+          this.showMessage(`Could not save: ${error.message}`, "error");
+        }
+      });
+
+    this.element
+      .querySelector("#conflicts-list")
+      .addEventListener("click", async (e) => {
+        const button = e.target.closest("[data-resolve]");
+        if (!button) return;
+
+        const card = button.closest(".conflict-card");
+        const itemId = Number(card.dataset.itemId);
+        button.disabled = true;
+
+        try {
+          await SyncService.resolveConflict(
+            itemId,
+            this.getPicks(card, button.dataset.resolve)
+          );
+          this.showMessage("Conflict resolved.", "success");
+          await this.loadConflicts();
+        } catch (error) {
+          console.error("Error resolving conflict:", error);
+          this.showMessage(`Could not resolve: ${error.message}`, "error");
+          button.disabled = false;
+        }
+      });
+  }
+
+  handleConflictsChanged = () => {
+    this.loadConflicts();
+  };
+
+  async loadConflicts() {
+    const list = this.element.querySelector("#conflicts-list");
+
+    try {
+      this.conflicts = await SyncService.getConflicts();
+    } catch (error) {
+      console.error("Error loading conflicts:", error);
+      list.innerHTML = `<p class="error-message">Unable to load conflicts.</p>`;
+      return;
+    }
+
+    if (this.conflicts.length === 0) {
+      list.innerHTML = `
+        <div class="empty-state" role="status">
+          <p>No conflicts. Your edits are in sync with the server.</p>
+        </div>
+      `;
+      return;
+    }
+
+    list.innerHTML = this.conflicts
+      .map((conflict) => this.renderConflict(conflict))
+      .join("");
+  }
+
+  // "Save selection" reads the radio buttons; the other two keep a side
+  getPicks(card, choice) {
+    if (choice !== "selection") {
+      return ConflictResolver.pickAll(choice);
+    }
+
+    const picks = ConflictResolver.pickAll("server");
+    card.querySelectorAll("input[type=radio]:checked").forEach((input) => {
+      picks[input.dataset.field] = input.value;
+    });
+    return picks;
+  }
+
+  renderConflict(conflict) {
+    const { base, local, server } = conflict;
+    const localChanges = ConflictResolver.changes(base, local);
+    // Only what either side changed is worth a choice
+    const differing = ConflictResolver.changes(server, local).filter(
+      (field) =>
+        localChanges.includes(field) || conflict.serverChanges.includes(field)
+    );
+
+    return `
+      <article class="conflict-card" data-item-id="${
+        conflict.itemId
+      }" aria-labelledby="conflict-title-${conflict.itemId}">
+        <h2 id="conflict-title-${conflict.itemId}">${this.escapeHtml(
+      local.name || server.name || "Unnamed Product"
+    )}</h2>
+        <p class="conflict-meta">Found ${new Date(
+          conflict.detectedAt
+        ).toLocaleString()}${
+      conflict.fields.length > 0
+        ? ` · Both changed: ${conflict.fields
+            .map((field) => ConflictResolver.FIELD_LABELS[field])
+            .join(", ")}`
+        : ""
+    }</p>
+
+        <table class="conflict-table">
+          <thead>
+            <tr>
+              <th scope="col">Field</th>
+              <th scope="col">Server version</th>
+              <th scope="col">Your version</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${ConflictResolver.FIELDS.map((field) =>
+              this.renderFieldRow(conflict, field, {
+                differs: differing.includes(field),
+                localChanged: localChanges.includes(field),
+              })
+            ).join("")}
+          </tbody>
+        </table>
+
+        <div class="conflict-actions">
+          <button type="button" class="btn btn-secondary" data-resolve="server">Keep server version</button>
+          <button type="button" class="btn btn-secondary" data-resolve="local">Keep my version</button>
+          <button type="button" class="btn btn-primary" data-resolve="selection">Save selection</button>
+        </div>
+      </article>
+    `;
+  }
+
+  // Differing fields get a choice; mine is preselected where I changed it
+  renderFieldRow(conflict, field, { differs, localChanged }) {
+    const label = ConflictResolver.FIELD_LABELS[field];
+    const name = `pick-${conflict.itemId}-${field}`;
+
+    const cell = (side, content) =>
+      differs
+        ? `<label class="conflict-choice">
+            <input type="radio" name="${name}" value="${side}" data-field="${field}" ${
+            (side === "local") === localChanged ? "checked" : ""
+          }>
+            <span>${content}</span>
+          </label>`
+        : content;
+
+    return `
+      <tr class="${differs ? "conflict-row-differs" : ""}">
+        <th scope="row">${label}</th>
+        <td>${cell(
+          "server",
+          this.renderValue(conflict.server, field, conflict.server.photoUrl)
+        )}</td>
+        <td>${cell(
+          "local",
+          this.renderValue(conflict.local, field, conflict.localPhotoUrl)
+        )}</td>
+      </tr>
+    `;
+  }
+
+  renderValue(snapshot, field, photoUrl) {
+    if (field === "photo") {
+      return photoUrl
+        ? `<img src="${photoUrl}" alt="Photo of ${
+            this.escapeHtml(snapshot.name) || "the product"
+          }" class="conflict-photo">`
+        : "No photo";
+    }
+    if (field === "location") {
+      return snapshot.lat && snapshot.lon
+        ? `📍 ${Number(snapshot.lat).toFixed(4)}, ${Number(snapshot.lon).toFixed(
+            4
+          )}`
+        : "No location";
+    }
+    return this.escapeHtml(snapshot[field]) || "—";
+  }
+
+  showMessage(message, type) {
+    const container = this.element.querySelector("#conflicts-message");
+    container.innerHTML = "";
+
+    const messageEl = document.createElement("div");
+    messageEl.className = `message message-${type}`;
+    messageEl.setAttribute("role", "alert");
+    messageEl.textContent = message;
+    container.appendChild(messageEl);
+
+    setTimeout(() => {
+      if (messageEl.parentNode) {
+        messageEl.remove();
+      }
+    }, 5000);
+  }
+
+  escapeHtml(unsafe) {
+    if (!unsafe) return "";
+    return unsafe
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#039;");
+  }
+
+  destroy() {
+    SyncService.removeListener("sync_conflict", this.handleConflictsChanged);
+  }
+}
@@ -0,0 +1,233 @@
+import { ApiService } from "../config/api.js";
+import { AuthError } from "../config/api-errors.js";
+import { AddProductView } from "./add-product-view.js";
+import { SyncService } from "../utils/sync-service.js";
+import { ViewTransition } from "../utils/view-transition.js";
+import { NavigationService } from "../utils/navigation-service.js";
+import { ConflictResolver } from "../utils/conflict-resolver.js";
+
+// The add-product form, prefilled with a stored product. Changes are saved
+// to IndexedDB right away and reach the server through the sync queue, so
+// editing works offline too. The photo is optional: leaving it alone keeps
+// the current one.
+export class EditProductView extends AddProductView {
+  constructor({ params = {} } = {}) {
+    super();
+    this.element.className = "view add-product-view edit-product-view";
+    this.element.setAttribute("aria-label", "Edit Product");
+    this.productId = params.id;
+    this.product = null;
+    this.requests = null;
+  }
+
+  getFormText() {
+    return {
+      title: "Edit Product",
+      description:
+        "Update the product details below. Changes are saved on this device and synced with the server.",
+      photoLabel: "Product Photo (leave empty to keep the current one)",
+      submit: "Save Changes",
+      submitting: "Saving...",
+    };
+  }
+
+  async render() {
+    this.requests = ApiService.createCancelHandle();
+
+    try {
+      this.product = await SyncService.getEditableProduct(this.productId, {
+        signal: this.requests.signal,
+      });
+    } catch (error) {
+      if (ApiService.isAbortError(error)) return this.element;
+      console.error("Error loading product for editing:", error);
+      if (error instanceof AuthError) {
+        // ApiService's 401 handler has already sent the user to login
+        return this.element;
+      }
+    }
+
+    if (!this.product) {
+      this.renderNotFound();
+      await ViewTransition.fadeIn(this.element);
+      return this.element;
+    }
+
+    if (this.product.lat && this.product.lon) {
+      this.selectedLocation = { lat: this.product.lat, lon: this.product.lon };
+    }
+
+    await super.render();
+    await this.fillForm();
+    return this.element;
+  }
+
+  renderNotFound() {
+    this.element.innerHTML = `
+      <section class="add-product-section" aria-labelledby="edit-product-title">
+        <h1 id="edit-product-title">Edit Product</h1>
+        <div class="empty-state" role="status">
+          <p>This product is not available on this device.</p>
+          <a href="${NavigationService.toUrl(
+            "/products"
+          )}" class="btn btn-primary" data-link>Back to Products</a>
+        </div>
+      </section>
+    `;
+  }
+
+  // Put the stored values into the form
+  async fillForm() {
+    const { name = "", description = "" } = this.product;
+
+    this.element.querySelector("#product-name").value = name;
+    // Cached server products hold the combined "name - description" text
+    this.element.querySelector("#product-description").value =
+      ConflictResolver.stripName(name, description);
+
+    this.element.querySelector("#product-photo").required = false;
+    this.element
+      .querySelector("#product-photo")
+      .setAttribute("aria-required", "false");
+    await this.showCurrentPhoto();
+  }
+
+  async showCurrentPhoto() {
+    const preview = this.element.querySelector("#photo-preview");
+    const { photoUrl } = await SyncService.formatProductForDisplay(
+      this.product
+    );
+    if (!preview || !photoUrl) return;
+
+    preview.innerHTML = `
+      <div class="photo-preview-content">
+        <h4>Current Photo:</h4>
+        <img src="${photoUrl}" alt="Current product photo" class="captured-photo">
+      </div>
+    `;
+  }
+
+  // The location picker only exists once the map is up
+  async initializeMap() {
+    await super.initializeMap();
+
+    if (this.map && this.selectedLocation) {
+      this.setLocation(this.selectedLocation.lat, this.selectedLocation.lon);
+    }
+  }
+
+  handlePhotoOptionChange(option) {
+    super.handlePhotoOptionChange(option);
+    this.element.querySelector("#product-photo").required = false;
+
+    if (option === "upload") {
+      this.showCurrentPhoto();
+    }
+  }
+
+  // No new photo keeps the current one
+  validateField(fieldId) {
+    if (fieldId === "product-photo" && !this.getNewPhoto()) {
+      this.clearFieldError(fieldId);
+      return true;
+    }
+    return super.validateField(fieldId);
+  }
+
+  getNewPhoto() {
+    const photoOption = this.element.querySelector(
+      'input[name="photo-option"]:checked'
+    ).value;
+
+    if (photoOption === "camera") {
+      return this.capturedPhoto;
+    }
+    const fileInput = this.element.querySelector("#product-photo");
+    return fileInput.files && fileInput.files[0] ? fileInput.files[0] : null;
+  }
+
+  async handleFormSubmit() {
+    const submitBtn = this.element.querySelector("#submit-btn");
+    const submitText = submitBtn.querySelector(".btn-text");
+    const submitLoading = submitBtn.querySelector(".btn-loading");
+
+    const isNameValid = this.validateField("product-name");
+    const isDescriptionValid = this.validateField("product-description");
+    const isPhotoValid = this.validateField("product-photo");
+
+    if (!isNameValid || !isDescriptionValid || !isPhotoValid) {
+      this.showMessage(
+        "Please fix the errors in the form before submitting.",
+        "error"
+      );
+      const firstErrorField = this.element.querySelector(
+        '[aria-invalid="true"]'
+      );
+      if (firstErrorField) {
+        firstErrorField.focus();
+      }
+      return;
+    }
+
+    try {
+      submitBtn.disabled = true;
+      submitText.style.display = "none";
+      submitLoading.style.display = "inline";
+
+      const changes = {
+        name: this.element.querySelector("#product-name").value.trim(),
+        description: this.element
+          .querySelector("#product-description")
+          .value.trim(),
+        lat: this.selectedLocation ? this.selectedLocation.lat : null,
+        lon: this.selectedLocation ? this.selectedLocation.lon : null,
+      };
+      const photo = this.getNewPhoto();
+      if (photo) {
+        changes.photo = photo;
+      }
+
+      await SyncService.updateProductWithSync(this.product.id, changes);
+
+      this.showMessage(
+        navigator.onLine
+          ? "Changes saved! Syncing with server..."
+          : "Changes saved offline! They will sync when you're back online.",
+        "success"
+      );
+
+      const productId = this.product.serverId || this.product.id;
+      setTimeout(() => {
+        NavigationService.navigate(
+          `/products/${encodeURIComponent(productId)}`
+        );
+      }, 1500);
+    } catch (error) {
+      console.error("Error saving product:", error);
+      this.showMessage(`Error saving product: ${error.message}`, "error");
+      submitBtn.focus();
+    } finally {
+      submitBtn.disabled = false;
+      submitText.style.display = "inline";
+      submitLoading.style.display = "none";
+    }
+  }
+
+  // Back to the stored values rather than an empty form
+  resetForm() {
+    super.resetForm();
+    if (!this.product) return;
+
+    if (this.map && this.product.lat && this.product.lon) {
+      this.setLocation(this.product.lat, this.product.lon);
+    }
+    this.fillForm();
+  }
+
+  destroy() {
+    if (this.requests) {
+      this.requests.cancel();
+    }
+    super.destroy();
+  }
+}
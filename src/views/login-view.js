@@ -1,21 +1,44 @@
 import { ApiService } from "../config/api.js";
 import { AuthService } from "../utils/auth.js";
 import { ViewTransition } from "../utils/view-transition.js";
+import { RouteGuards } from "../utils/route-guards.js";
+import { NavigationService } from "../utils/navigation-service.js";
 
 export class LoginView {
-  constructor() {
+  constructor({ query = {} } = {}) {
     this.element = document.createElement("div");
     this.element.className = "view login-view";
     this.element.setAttribute("role", "main");
     this.element.setAttribute("aria-label", "Login Page");
     this.isLoginMode = true;
+    this.redirectPath = RouteGuards.isSafeRedirect(query.redirect)
+      ? query.redirect
+      : "/products";
+    // Set when AuthService sent the user here because the session ended
+    this.sessionNotice =
+      query.reason === "expired"
+        ? "Your session has expired. Please login again."
+        : null;
+    // Opened from the header's "Add account" while already logged in
+    this.isAddingAccount = query.account === "add";
   }
 
   async render() {
     this.element.innerHTML = `
       <section class="auth-section" aria-labelledby="auth-title">
         <div class="auth-container">
-          <h1 id="auth-title">${this.isLoginMode ? "Login" : "Register"}</h1>
+          <h1 id="auth-title">${
+            this.isAddingAccount
+              ? "Add Account"
+              : this.isLoginMode
+              ? "Login"
+              : "Register"
+          }</h1>
+          ${
+            this.isAddingAccount
+              ? `<p class="help-text">You stay signed in to your other accounts and can switch between them from the header.</p>`
+              : this.renderSavedAccounts()
+          }
           
           <form id="auth-form" class="auth-form" novalidate>
             ${
@@ -98,14 +121,57 @@ export class LoginView {
     `;
 
     this.attachEventListeners();
+
+    if (this.sessionNotice) {
+      this.showMessage(this.sessionNotice, "error");
+      this.sessionNotice = null;
+    }
+
     await ViewTransition.fadeIn(this.element);
     return this.element;
   }
 
+  // Accounts still signed in on this device, e.g. after another one's
+  // session ran out. An explicit logout forgets all of them.
+  renderSavedAccounts() {
+    const accounts = AuthService.getAccounts();
+    if (accounts.length === 0) return "";
+
+    return `
+      <div class="saved-accounts" aria-label="Saved accounts">
+        ${accounts
+          .map(
+            (account) => `
+              <button type="button" class="btn btn-secondary btn-block saved-account-btn" data-user-id="${this.escapeHtml(
+                account.user.userId
+              )}">
+                Continue as ${this.escapeHtml(account.user.name)}
+              </button>
+            `
+          )
+          .join("")}
+        <p class="saved-accounts-divider">or sign in to another account</p>
+      </div>
+    `;
+  }
+
   attachEventListeners() {
     const form = this.element.querySelector("#auth-form");
     const switchModeBtn = this.element.querySelector("#switch-mode");
 
+    this.element.querySelectorAll(".saved-account-btn").forEach((button) => {
+      button.addEventListener("click", () => {
+        // On success the router leaves the login page by itself
+        if (!AuthService.switchAccount(button.dataset.userId)) {
+          this.showMessage(
+            "That session has expired. Please login again.",
+            "error"
+          );
+          button.remove();
+        }
+      });
+    });
+
     form.addEventListener("submit", (e) => {
       e.preventDefault();
       this.handleAuth();
@@ -149,8 +215,7 @@ export class LoginView {
       }
 
       if (response.loginResult) {
-        AuthService.setToken(response.loginResult.token);
-        AuthService.setUserInfo({
+        AuthService.startSession(response.loginResult.token, {
           userId: response.loginResult.userId,
           name: response.loginResult.name,
         });
@@ -160,8 +225,9 @@ export class LoginView {
           "success"
         );
 
+        // Return to the page that sent the user to login
         setTimeout(() => {
-          window.location.hash = "/products";
+          NavigationService.navigate(this.redirectPath);
         }, 1000);
       }
     } catch (error) {
@@ -172,6 +238,16 @@ export class LoginView {
     }
   }
 
+  escapeHtml(unsafe) {
+    if (!unsafe) return "";
+    return String(unsafe)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#039;");
+  }
+
   validateForm() {
     let isValid = true;
     this.clearErrors();
@@ -1,5 +1,7 @@
 import { ApiService } from "../config/api.js";
+import { AuthError } from "../config/api-errors.js";
 import { AuthService } from "../utils/auth.js";
+import { SyncService } from "../utils/sync-service.js";
 import { ViewTransition } from "../utils/view-transition.js";
 
 export class MapView {
@@ -14,9 +16,11 @@ export class MapView {
     this.tileLayers = {};
     this.offlineControl = null;
     this.isDestroyed = false;
+    this.requests = null;
   }
 
   async render() {
+    this.requests = ApiService.createCancelHandle();
     this.element.innerHTML = `
       <section class="map-section" aria-labelledby="map-title">
         <h1 id="map-title">Store Locations</h1>
@@ -181,16 +185,27 @@ export class MapView {
         throw new Error("Please login to view store locations");
       }
 
-      const response = await ApiService.getStories(token, 1); // Only get stories with location
+      // Only stories with location; falls back to the offline cache, whose
+      // photos are served from IndexedDB
+      const response = await SyncService.getProducts({
+        location: 1,
+        signal: this.requests.signal,
+      });
+
+      // Same list the markers already show - leave the map alone
+      if (response.notModified && this.markers.length > 0) {
+        console.log("Store locations unchanged since last load");
+        return;
+      }
 
       // Check if this is offline data
-      const isOffline = ApiService.isOfflineResponse(response);
+      const isOffline =
+        ApiService.isOfflineResponse(response) || response.offline === true;
       if (isOffline) {
         this.showOfflineMapMessage();
       }
 
-      // Handle both response formats
-      this.stories = response.listStory || response.data?.listStory || [];
+      this.stories = response.listStory || [];
       const storiesWithLocation = this.stories.filter(
         (story) => story.lat && story.lon
       );
@@ -227,7 +242,12 @@ export class MapView {
         }
       }
     } catch (error) {
+      if (ApiService.isAbortError(error)) return;
       console.error("Error loading stories:", error);
+      if (error instanceof AuthError) {
+        // ApiService's 401 handler has already sent the user to login
+        return;
+      }
 
       // Show appropriate error message
       let errorMessage = `Error loading store locations: ${error.message}`;
@@ -559,6 +579,9 @@ export class MapView {
   // Cleanup method
   destroy() {
     this.isDestroyed = true;
+    if (this.requests) {
+      this.requests.cancel();
+    }
 
     // Remove event listeners
     if (this.connectionChangeHandler) {
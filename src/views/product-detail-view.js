@@ -0,0 +1,216 @@
+import { ApiService } from "../config/api.js";
+import { AuthError } from "../config/api-errors.js";
+import { ViewTransition } from "../utils/view-transition.js";
+import { SyncService } from "../utils/sync-service.js";
+import { NavigationService } from "../utils/navigation-service.js";
+
+export class ProductDetailView {
+  constructor({ params = {} } = {}) {
+    this.element = document.createElement("div");
+    this.element.className = "view product-detail-view";
+    this.element.setAttribute("role", "main");
+    this.element.setAttribute("aria-label", "Product Detail");
+    this.productId = params.id;
+    this.story = null;
+    this.map = null;
+    this.isDestroyed = false;
+    this.requests = null;
+  }
+
+  async render() {
+    this.element.innerHTML = `
+      <section class="product-detail-section" aria-labelledby="product-detail-title">
+        <a href="#/products" class="btn btn-text back-link">← Back to Products</a>
+
+        <div class="loading-spinner" id="detail-loading" aria-live="polite" aria-label="Loading product">
+          <div class="spinner"></div>
+          <p>Loading product...</p>
+        </div>
+
+        <div id="product-detail" class="product-detail" hidden>
+          <!-- Product detail will be loaded here -->
+        </div>
+
+        <div class="error-message" id="detail-error" role="alert" aria-live="assertive" hidden>
+          <!-- Error messages will be shown here -->
+        </div>
+      </section>
+    `;
+
+    this.isDestroyed = false;
+    this.requests = ApiService.createCancelHandle();
+
+    // Prefer a real "back" so the products list comes back as it was left
+    this.element.querySelector(".back-link").addEventListener("click", (e) => {
+      e.preventDefault();
+      NavigationService.back("/products");
+    });
+
+    await this.loadProduct();
+    await ViewTransition.fadeIn(this.element);
+    return this.element;
+  }
+
+  async loadProduct() {
+    const spinner = this.element.querySelector("#detail-loading");
+    const detail = this.element.querySelector("#product-detail");
+    const errorMsg = this.element.querySelector("#detail-error");
+
+    try {
+      const response = await SyncService.getProduct(this.productId, {
+        signal: this.requests.signal,
+      });
+
+      if (response.error || !response.story) {
+        throw new Error(response.message || "Product not found");
+      }
+
+      this.story = response.story;
+      const isOffline = response.offline === true;
+      const hasLocation = this.story.lat && this.story.lon;
+
+      detail.innerHTML = `
+        <h1 id="product-detail-title">${this.escapeHtml(
+          this.story.name || "Unnamed Product"
+        )}</h1>
+        ${
+          isOffline
+            ? `<div class="offline-badge" aria-label="Viewing offline data">📶 Offline</div>`
+            : ""
+        }
+        ${
+          this.story.pendingChanges
+            ? `<div class="pending-badge" aria-label="Changes not synced yet">✏️ Changes pending sync</div>`
+            : ""
+        }
+        ${
+          this.story.hasConflict
+            ? `<a href="${NavigationService.toUrl(
+                "/conflicts"
+              )}" class="conflict-badge" data-link>⚠️ Sync conflict - review</a>`
+            : ""
+        }
+        <div class="product-detail-body">
+          <div class="product-detail-image">
+            <img
+              src="${this.story.photoUrl}"
+              alt="${this.escapeHtml(this.story.description || "Product image")}"
+              onerror="this.style.display='none'"
+            >
+          </div>
+          <div class="product-detail-info">
+            <p class="product-detail-description">${this.escapeHtml(
+              this.story.description || "No description available"
+            )}</p>
+            <p class="product-date">Added: ${
+              this.story.createdAt
+                ? new Date(this.story.createdAt).toLocaleString()
+                : "Unknown date"
+            }</p>
+            ${
+              hasLocation
+                ? `<p class="product-location">📍 ${Number(this.story.lat).toFixed(
+                    4
+                  )}, ${Number(this.story.lon).toFixed(4)}</p>`
+                : ""
+            }
+            <a href="${NavigationService.toUrl(
+              `/products/${encodeURIComponent(this.story.id)}/edit`
+            )}" class="btn btn-secondary" data-link>✏️ Edit Product</a>
+          </div>
+        </div>
+        ${
+          hasLocation
+            ? `<div id="detail-map" class="detail-map" role="application" aria-label="Map showing product location"></div>`
+            : `<p class="location-info">No location information for this product.</p>`
+        }
+      `;
+
+      detail.hidden = false;
+
+      if (hasLocation) {
+        // Initialize map after DOM is rendered
+        setTimeout(() => {
+          this.initializeMap();
+        }, 100);
+      }
+    } catch (error) {
+      if (ApiService.isAbortError(error)) return;
+      console.error("Error loading product:", error);
+      if (error instanceof AuthError) {
+        // ApiService's 401 handler has already sent the user to login
+        return;
+      }
+      errorMsg.hidden = false;
+      errorMsg.innerHTML = `
+        <h1 id="product-detail-title">Product Unavailable</h1>
+        <p>${this.escapeHtml(error.message)}</p>
+      `;
+    } finally {
+      spinner.style.display = "none";
+    }
+  }
+
+  initializeMap() {
+    if (this.isDestroyed || !this.story) return;
+
+    const mapContainer = this.element.querySelector("#detail-map");
+
+    try {
+      if (typeof L === "undefined") {
+        throw new Error("Map library not loaded");
+      }
+
+      const position = [Number(this.story.lat), Number(this.story.lon)];
+
+      this.map = L.map(mapContainer, {
+        zoomControl: false,
+        dragging: false,
+        scrollWheelZoom: false,
+        doubleClickZoom: false,
+        attributionControl: true,
+      }).setView(position, 13);
+
+      L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+        attribution: "&copy; OpenStreetMap contributors",
+        maxZoom: 19,
+      }).addTo(this.map);
+
+      L.marker(position).addTo(this.map);
+
+      // Force reflow
+      setTimeout(() => {
+        if (this.map && !this.isDestroyed) {
+          this.map.invalidateSize();
+        }
+      }, 100);
+    } catch (error) {
+      console.error("Error initializing map:", error);
+      mapContainer.innerHTML = `<p class="location-info">Unable to load map: ${this.escapeHtml(
+        error.message
+      )}</p>`;
+    }
+  }
+
+  escapeHtml(unsafe) {
+    if (!unsafe) return "";
+    return unsafe
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#039;");
+  }
+
+  // Cleanup when view is removed
+  destroy() {
+    this.isDestroyed = true;
+    if (this.requests) {
+      this.requests.cancel();
+    }
+    if (this.map) {
+      this.map.remove();
+      this.map = null;
+    }
+  }
+}
@@ -1,10 +1,17 @@
 import { ApiService } from "../config/api.js";
+import { AuthError } from "../config/api-errors.js";
 import { AuthService } from "../utils/auth.js";
 import { ViewTransition } from "../utils/view-transition.js";
 import { SyncService } from "../utils/sync-service.js";
+import { SearchService } from "../utils/search-service.js";
+import { NavigationService } from "../utils/navigation-service.js";
 
 export class ProductsView {
-  constructor() {
+  static PAGE_SIZE = 12;
+  // Pause in typing before the search runs, in ms
+  static SEARCH_DELAY = 250;
+
+  constructor({ query = {}, savedState = null } = {}) {
     this.element = document.createElement("div");
     this.element.className = "view products-view";
     this.element.setAttribute("role", "main");
@@ -12,19 +19,52 @@ export class ProductsView {
     this.stories = [];
     this.offlineMessage = null;
     this.syncStatus = null;
+    this.savedState = savedState;
+    this.initialFilter = savedState
+      ? savedState.locationFilter
+      : query.location === "1"
+      ? 1
+      : 0;
+    this.locationFilter = this.initialFilter;
+    this.isOffline = false;
+    // Search results replace the paged list while a query is entered;
+    // "?q=" links (from the header search bar) open with one
+    this.searchQuery = savedState
+      ? savedState.searchQuery || ""
+      : (query.q || "").trim();
+    this.searchResults = null;
+    this.searchId = 0;
+    this.searchTimer = null;
+    // Paging state for infinite scroll
+    this.cursor = null;
+    this.nextPage = 1;
+    this.hasMore = false;
+    this.isLoadingMore = false;
+    this.loadId = 0;
+    this.scrollObserver = null;
+    this.requests = null;
   }
 
   async render() {
+    this.requests = ApiService.createCancelHandle();
     this.element.innerHTML = `
       <section class="products-section" aria-labelledby="products-title">
         <div class="section-header">
           <h1 id="products-title">Our Products</h1>
           <div class="products-controls">
+            <div class="search-controls" role="search">
+              <label for="product-search" class="sr-only">Search products</label>
+              <input type="search" id="product-search" class="search-input"
+                placeholder="Search products..." autocomplete="off"
+                value="${this.escapeHtml(this.searchQuery)}">
+            </div>
             <div class="filter-controls">
               <label for="location-filter" class="filter-label">Filter by Location:</label>
               <select id="location-filter" class="filter-select" aria-label="Filter products by location availability">
                 <option value="0">All Products</option>
-                <option value="1">With Location</option>
+                <option value="1" ${
+                  this.initialFilter === 1 ? "selected" : ""
+                }>With Location</option>
               </select>
             </div>
             <div class="sync-controls">
@@ -53,6 +93,11 @@ export class ProductsView {
           <!-- Products will be loaded here -->
         </div>
         
+        <div class="products-sentinel" id="products-sentinel">
+          <p id="products-scroll-status" class="products-scroll-status" aria-live="polite"></p>
+          <button id="load-more-btn" class="btn btn-secondary" hidden>Load more</button>
+        </div>
+
         <div class="error-message" id="error-message" role="alert" aria-live="assertive" hidden>
           <!-- Error messages will be shown here -->
         </div>
@@ -74,131 +119,93 @@ export class ProductsView {
       </section>
     `;
 
-    await this.loadProducts();
+    if (this.savedState) {
+      await this.restoreState(this.savedState);
+    } else {
+      await this.loadProducts(this.initialFilter);
+    }
     this.attachEventListeners();
     this.setupSyncListeners();
+    this.setupInfiniteScroll();
     await ViewTransition.fadeIn(this.element);
     return this.element;
   }
 
-  async loadProducts(locationFilter = 0) {
+  async loadProducts(locationFilter = this.locationFilter) {
     const spinner = this.element.querySelector("#loading-spinner");
     const grid = this.element.querySelector("#products-grid");
     const errorMsg = this.element.querySelector("#error-message");
+    const loadId = ++this.loadId;
+    // Reloading the list that is already on screen: keep it visible while
+    // checking with the server, and keep it as is if nothing changed
+    const isRefresh =
+      locationFilter === this.locationFilter &&
+      this.stories.length > 0 &&
+      !this.isLoadingMore;
 
     try {
-      spinner.style.display = "flex";
-      grid.style.display = "none";
-      errorMsg.hidden = true;
-
-      // Remove existing offline message
-      if (this.offlineMessage) {
-        this.offlineMessage.remove();
-        this.offlineMessage = null;
+      if (!isRefresh) {
+        spinner.style.display = "flex";
+        grid.style.display = "none";
       }
+      errorMsg.hidden = true;
 
       const token = AuthService.getToken();
       if (!token) {
         throw new Error("Please login to view products");
       }
 
-      // Use SyncService to get products (handles offline/online automatically)
-      const response = await SyncService.getProducts();
+      // Start a fresh cursor; SyncService falls back to cached pages offline
+      const cursor = SyncService.getProductPages({
+        size: ProductsView.PAGE_SIZE,
+        location: locationFilter,
+        signal: this.requests.signal,
+      });
 
-      // Update sync status
-      await this.updateSyncStatus();
+      const { value } = await cursor.next();
+      if (loadId !== this.loadId) return;
 
-      // Handle offline response
-      if (ApiService.isOfflineResponse(response) || response.offline) {
-        this.displayOfflineMessage();
-        console.log("Displaying offline products data");
+      if (isRefresh && value && value.notModified) {
+        console.log("Products unchanged since last load");
+        await this.updateSyncStatus();
+        return;
       }
 
-      // Get stories from response - with better error handling
-      this.stories = response.listStory || response.data?.listStory || [];
-
-      // Apply location filter
-      if (locationFilter === 1) {
-        this.stories = this.stories.filter((story) => story.lat && story.lon);
+      // Remove existing offline message
+      if (this.offlineMessage) {
+        this.offlineMessage.remove();
+        this.offlineMessage = null;
       }
 
-      if (this.stories.length === 0) {
-        grid.innerHTML = `
-        <div class="empty-state" role="status">
-          <p>${
-            ApiService.isOfflineResponse(response) || response.offline
-              ? "No cached products available offline"
-              : "No products found. Be the first to add one!"
-          }</p>
-          ${
-            !(ApiService.isOfflineResponse(response) || response.offline)
-              ? `
-            <a href="#/add-product" class="btn btn-primary" data-link>Add Product</a>
-          `
-              : ""
-          }
-        </div>
-      `;
+      this.locationFilter = locationFilter;
+      this.stories = [];
+      this.isOffline = false;
+      this.nextPage = 1;
+      this.hasMore = true;
+      this.isLoadingMore = false;
+      this.cursor = cursor;
+      this.applyPage(value);
+
+      // Update sync status
+      await this.updateSyncStatus();
+
+      // The new page may have added products to the search index
+      if (this.searchQuery) {
+        await this.runSearch(this.searchQuery);
       } else {
-        grid.innerHTML = this.stories
-          .map(
-            (story) => `
-        <div class="product-card" role="listitem" data-product-id="${
-          story.id
-        }" tabindex="0">
-          <div class="product-image">
-            <img 
-              src="${story.photoUrl}" 
-              alt="${story.description || "Product image"}" 
-              loading="lazy"
-              onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjNmNGY2Ii8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIwLjNlbSIgZm9udC1mYW1pbHk9IkFyaWFsLCBzYW5zLXNlcmlmIiBmb250LXNpemU9IjE0IiBmaWxsPSIjOWNhM2FmIj5Qcm9kdWN0IEltYWdlPC90ZXh0Pjwvc3ZnPg=='"
-            >
-          </div>
-          <div class="product-info">
-            <h3 class="product-name">${this.escapeHtml(
-              story.name || "Unnamed Product"
-            )}</h3>
-            <p class="product-description">${this.escapeHtml(
-              story.description || "No description available"
-            )}</p>
-            <div class="product-meta">
-              <span class="product-date">${
-                story.createdAt
-                  ? new Date(story.createdAt).toLocaleDateString()
-                  : "Unknown date"
-              }</span>
-              ${
-                story.lat && story.lon
-                  ? `
-                <span class="product-location" aria-label="Has location information">📍</span>
-              `
-                  : ""
-              }
-            </div>
-            ${
-              ApiService.isOfflineResponse(response) || response.offline
-                ? `
-              <div class="offline-badge" aria-label="Viewing offline data">📶 Offline</div>
-            `
-                : ""
-            }
-          </div>
-          <div class="product-actions">
-            <button class="btn-delete" data-product-id="${
-              story.id
-            }" aria-label="Delete product">
-              🗑️ Delete
-            </button>
-          </div>
-        </div>
-      `
-          )
-          .join("");
+        this.renderProductGrid();
+        this.refreshScrollObserver();
       }
-
-      grid.style.display = this.stories.length > 0 ? "grid" : "block";
     } catch (error) {
+      if (loadId !== this.loadId) return;
       console.error("Error loading products:", error);
+      this.hasMore = false;
+      this.updateScrollStatus();
+
+      if (error instanceof AuthError) {
+        // ApiService's 401 handler has already sent the user to login
+        return;
+      }
 
       // If offline and no cached data, show offline message
       if (!navigator.onLine) {
@@ -216,10 +223,326 @@ export class ProductsView {
         grid.innerHTML = "";
       }
     } finally {
-      spinner.style.display = "none";
+      if (loadId === this.loadId) {
+        spinner.style.display = "none";
+      }
+    }
+  }
+
+  // Fetch the next page and append it to the grid
+  async loadMoreProducts() {
+    if (!this.cursor || !this.hasMore || this.isLoadingMore) return;
+    // Search results are not paged
+    if (this.searchResults) return;
+
+    const grid = this.element.querySelector("#products-grid");
+    const loadId = this.loadId;
+    this.isLoadingMore = true;
+    this.updateScrollStatus();
+
+    try {
+      const { value } = await this.cursor.next();
+      if (loadId !== this.loadId) return;
+
+      const previousCount = this.stories.length;
+      this.applyPage(value);
+
+      if (previousCount === 0) {
+        this.renderProductGrid();
+      } else {
+        grid.insertAdjacentHTML(
+          "beforeend",
+          this.stories
+            .slice(previousCount)
+            .map((story) => this.renderProductCard(story))
+            .join("")
+        );
+      }
+    } catch (error) {
+      if (loadId !== this.loadId) return;
+      console.error("Error loading more products:", error);
+      if (error instanceof AuthError) {
+        // ApiService's 401 handler has already sent the user to login
+        return;
+      }
+      this.showMessage(`Failed to load more products: ${error.message}`, "error");
+    } finally {
+      if (loadId === this.loadId) {
+        this.isLoadingMore = false;
+        this.updateScrollStatus();
+        this.refreshScrollObserver();
+      }
     }
   }
 
+  applyPage(page) {
+    if (!page) {
+      this.hasMore = false;
+      return;
+    }
+
+    this.stories = this.stories.concat(page.stories);
+    this.nextPage = page.page + 1;
+    this.hasMore = !page.done;
+
+    if (page.offline && !this.isOffline) {
+      this.isOffline = true;
+      this.displayOfflineMessage();
+      console.log("Displaying offline products data");
+    }
+  }
+
+  // Load the next page whenever the sentinel below the grid scrolls into view
+  setupInfiniteScroll() {
+    const sentinel = this.element.querySelector("#products-sentinel");
+    const loadMoreBtn = this.element.querySelector("#load-more-btn");
+
+    loadMoreBtn.addEventListener("click", () => this.loadMoreProducts());
+
+    if (!("IntersectionObserver" in window)) {
+      this.updateScrollStatus();
+      return;
+    }
+
+    this.scrollObserver = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          this.loadMoreProducts();
+        }
+      },
+      { rootMargin: "200px 0px" }
+    );
+    this.scrollObserver.observe(sentinel);
+    this.updateScrollStatus();
+  }
+
+  // Observing again reports the current intersection, so a page too short to
+  // push the sentinel off screen still triggers the next load
+  refreshScrollObserver() {
+    const sentinel = this.element.querySelector("#products-sentinel");
+    if (!this.scrollObserver || !sentinel || !this.hasMore) return;
+
+    this.scrollObserver.unobserve(sentinel);
+    this.scrollObserver.observe(sentinel);
+  }
+
+  updateScrollStatus() {
+    const status = this.element.querySelector("#products-scroll-status");
+    const loadMoreBtn = this.element.querySelector("#load-more-btn");
+    if (!status || !loadMoreBtn) return;
+
+    if (this.searchResults) {
+      status.textContent = `${this.searchResults.length} result(s) for "${this.searchQuery}"`;
+    } else if (this.isLoadingMore) {
+      status.textContent = "Loading more products...";
+    } else if (!this.hasMore && this.stories.length > 0) {
+      status.textContent = "You've reached the end of the list";
+    } else {
+      status.textContent = "";
+    }
+
+    // Without IntersectionObserver the user pages through with a button
+    loadMoreBtn.hidden =
+      !!this.scrollObserver ||
+      !this.hasMore ||
+      this.isLoadingMore ||
+      !!this.searchResults;
+  }
+
+  // Show the list exactly as it was left instead of fetching it again
+  async restoreState(state) {
+    const spinner = this.element.querySelector("#loading-spinner");
+
+    this.stories = state.stories || [];
+    this.isOffline = state.isOffline;
+    this.locationFilter = state.locationFilter;
+    this.nextPage = state.nextPage || 1;
+    this.hasMore = state.hasMore !== false;
+
+    // Continue paging from where the list was left
+    if (this.hasMore) {
+      this.cursor = SyncService.getProductPages({
+        size: ProductsView.PAGE_SIZE,
+        location: this.locationFilter,
+        startPage: this.nextPage,
+        signal: this.requests.signal,
+      });
+    }
+
+    if (this.isOffline) {
+      this.displayOfflineMessage();
+    }
+
+    if (this.searchQuery) {
+      await this.runSearch(this.searchQuery);
+    } else {
+      this.renderProductGrid();
+    }
+    spinner.style.display = "none";
+    await this.updateSyncStatus();
+  }
+
+  saveState() {
+    return {
+      locationFilter: this.locationFilter,
+      stories: this.stories,
+      isOffline: this.isOffline,
+      nextPage: this.nextPage,
+      hasMore: this.hasMore,
+      searchQuery: this.searchQuery,
+    };
+  }
+
+  // Search the products stored on this device; an empty query shows the
+  // paged list again
+  async runSearch(query) {
+    const searchId = ++this.searchId;
+    this.searchQuery = query.trim();
+
+    if (!this.searchQuery) {
+      this.searchResults = null;
+      this.renderProductGrid();
+      this.refreshScrollObserver();
+      return;
+    }
+
+    try {
+      const results = await SearchService.search(this.searchQuery, {
+        location: this.locationFilter,
+      });
+      if (searchId !== this.searchId) return;
+
+      this.searchResults = results;
+      this.renderProductGrid();
+    } catch (error) {
+      if (searchId !== this.searchId) return;
+      console.error("Error searching products:", error);
+      this.renderProductGrid();
+      this.showMessage(`Search failed: ${error.message}`, "error");
+    }
+  }
+
+  renderProductGrid() {
+    const grid = this.element.querySelector("#products-grid");
+    const isOffline = this.isOffline;
+    const stories = this.searchResults || this.stories;
+
+    if (this.searchResults && stories.length === 0) {
+      grid.innerHTML = `
+      <div class="empty-state" role="status">
+        <p>No products match "${this.escapeHtml(this.searchQuery)}"</p>
+        <p><small>Search covers the products stored on this device</small></p>
+      </div>
+    `;
+    } else if (stories.length === 0) {
+      grid.innerHTML = `
+      <div class="empty-state" role="status">
+        <p>${
+          isOffline
+            ? "No cached products available offline"
+            : "No products found. Be the first to add one!"
+        }</p>
+        ${
+          !(isOffline)
+            ? `
+          <a href="${NavigationService.toUrl(
+            "/add-product"
+          )}" class="btn btn-primary" data-link>Add Product</a>
+        `
+            : ""
+        }
+      </div>
+    `;
+    } else {
+      grid.innerHTML = stories
+        .map((story) => this.renderProductCard(story))
+        .join("");
+    }
+
+    grid.style.display = stories.length > 0 ? "grid" : "block";
+    this.updateScrollStatus();
+  }
+
+  renderProductCard(story) {
+    const isOffline = this.isOffline;
+
+    return `
+      <div class="product-card" role="listitem" data-product-id="${
+        story.id
+      }" tabindex="0">
+        <div class="product-image">
+          <img 
+            src="${story.photoUrl}" 
+            alt="${story.description || "Product image"}" 
+            loading="lazy"
+            onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjNmNGY2Ii8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIwLjNlbSIgZm9udC1mYW1pbHk9IkFyaWFsLCBzYW5zLXNlcmlmIiBmb250LXNpemU9IjE0IiBmaWxsPSIjOWNhM2FmIj5Qcm9kdWN0IEltYWdlPC90ZXh0Pjwvc3ZnPg=='"
+          >
+        </div>
+        <div class="product-info">
+          <h3 class="product-name">
+            <a href="${NavigationService.toUrl(
+              `/products/${encodeURIComponent(story.id)}`
+            )}" class="product-link" data-link tabindex="-1">${this.escapeHtml(
+            story.name || "Unnamed Product"
+          )}</a>
+          </h3>
+          <p class="product-description">${this.escapeHtml(
+            story.description || "No description available"
+          )}</p>
+          <div class="product-meta">
+            <span class="product-date">${
+              story.createdAt
+                ? new Date(story.createdAt).toLocaleDateString()
+                : "Unknown date"
+            }</span>
+            ${
+              story.lat && story.lon
+                ? `
+              <span class="product-location" aria-label="Has location information">📍</span>
+            `
+                : ""
+            }
+          </div>
+          ${
+            isOffline
+              ? `
+            <div class="offline-badge" aria-label="Viewing offline data">📶 Offline</div>
+          `
+              : ""
+          }
+          ${
+            story.pendingChanges
+              ? `
+            <div class="pending-badge" aria-label="Changes not synced yet">✏️ Changes pending sync</div>
+          `
+              : ""
+          }
+          ${
+            story.hasConflict
+              ? `
+            <a href="${NavigationService.toUrl(
+              "/conflicts"
+            )}" class="conflict-badge" data-link>⚠️ Sync conflict - review</a>
+          `
+              : ""
+          }
+        </div>
+        <div class="product-actions">
+          <a href="${NavigationService.toUrl(
+            `/products/${encodeURIComponent(story.id)}/edit`
+          )}" class="btn-edit" data-link aria-label="Edit product">
+            ✏️ Edit
+          </a>
+          <button class="btn-delete" data-product-id="${
+            story.id
+          }" aria-label="Delete product">
+            🗑️ Delete
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
   displayOfflineMessage() {
     // Remove existing offline message
     if (this.offlineMessage) {
@@ -250,7 +573,11 @@ export class ProductsView {
     const syncStatusElement = this.element.querySelector("#sync-status");
     this.syncStatus = await SyncService.getSyncStatus();
 
-    if (this.syncStatus.pendingSync > 0 || this.syncStatus.localProducts > 0) {
+    if (
+      this.syncStatus.pendingSync > 0 ||
+      this.syncStatus.localProducts > 0 ||
+      this.syncStatus.conflicts > 0
+    ) {
       syncStatusElement.hidden = false;
       syncStatusElement.innerHTML = `
         <div class="sync-status-info">
@@ -260,6 +587,15 @@ export class ProductsView {
             <p>${this.syncStatus.localProducts} local products, ${
         this.syncStatus.pendingSync
       } pending sync</p>
+            ${
+              this.syncStatus.conflicts > 0
+                ? `<a href="${NavigationService.toUrl(
+                    "/conflicts"
+                  )}" class="sync-conflicts-link" data-link>⚠️ Review ${
+                    this.syncStatus.conflicts
+                  } sync conflict${this.syncStatus.conflicts === 1 ? "" : "s"}</a>`
+                : ""
+            }
           </div>
           ${
             navigator.onLine
@@ -291,6 +627,7 @@ export class ProductsView {
 
   attachEventListeners() {
     const locationFilter = this.element.querySelector("#location-filter");
+    const searchInput = this.element.querySelector("#product-search");
     const syncBtn = this.element.querySelector("#sync-btn");
     const offlineInfoBtn = this.element.querySelector("#offline-info-btn");
 
@@ -299,6 +636,15 @@ export class ProductsView {
       this.loadProducts(parseInt(e.target.value));
     });
 
+    // Search as the user types, once they pause
+    searchInput.addEventListener("input", (e) => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(
+        () => this.runSearch(e.target.value),
+        ProductsView.SEARCH_DELAY
+      );
+    });
+
     // Sync button
     syncBtn.addEventListener("click", async () => {
       if (!navigator.onLine) {
@@ -337,6 +683,13 @@ export class ProductsView {
         if (e.target.classList.contains("btn-delete")) {
           const productId = e.target.getAttribute("data-product-id");
           await this.deleteProduct(productId);
+          return;
+        }
+
+        // Clicking anywhere else on a card opens its detail page
+        const productCard = e.target.closest(".product-card");
+        if (productCard && !e.target.closest("a")) {
+          this.openProductDetail(productCard.dataset.productId);
         }
       });
 
@@ -344,9 +697,9 @@ export class ProductsView {
       grid.addEventListener("keydown", (e) => {
         if (e.key === "Enter" || e.key === " ") {
           const productCard = e.target.closest(".product-card");
-          if (productCard) {
+          if (productCard && e.target === productCard) {
             e.preventDefault();
-            // You can add product detail navigation here if needed
+            this.openProductDetail(productCard.dataset.productId);
           }
         }
       });
@@ -381,6 +734,10 @@ export class ProductsView {
     });
 
     SyncService.addListener("sync_failed", (data) => {
+      if (data.authRequired) {
+        this.showMessage("Please login again to sync your products.", "error");
+        return;
+      }
       this.showMessage(`Sync failed: ${data.error}`, "error");
     });
 
@@ -388,13 +745,47 @@ export class ProductsView {
       console.log("Product synced:", data);
       this.showMessage("Product synced with server!", "success");
     });
+
+    SyncService.addListener("sync_unsupported", ({ count }) => {
+      this.showMessage(
+        `${count} edit${count === 1 ? "" : "s"} or deletion${
+          count === 1 ? "" : "s"
+        } can't be sent: this server doesn't support changing products. They stay queued on this device.`,
+        "warning"
+      );
+    });
+
+    SyncService.addListener("update_abandoned", () => {
+      this.showMessage(
+        "An edit could not be saved on the server and was discarded.",
+        "warning"
+      );
+    });
+
+    SyncService.addListener("product_restored", () => {
+      this.showMessage(
+        "A deletion could not be completed on the server, so the product is shown again.",
+        "warning"
+      );
+    });
+
+    SyncService.addListener("sync_conflict", () => {
+      this.showMessage(
+        "A product you edited was also changed on the server. Review it under Sync Conflicts.",
+        "warning"
+      );
+      this.updateSyncStatus();
+    });
   }
 
   async showOfflineInfoModal() {
     const modal = this.element.querySelector("#offline-info-modal");
     const statsElement = this.element.querySelector("#offline-stats");
 
-    const stats = await SyncService.getSyncStatus();
+    const [stats, storage] = await Promise.all([
+      SyncService.getSyncStatus(),
+      SyncService.getStorageInfo(),
+    ]);
 
     statsElement.innerHTML = `
       <div class="offline-stats-grid">
@@ -433,6 +824,7 @@ export class ProductsView {
           }</span>
         </div>
       </div>
+      ${this.renderStorageInfo(storage)}
       <div class="offline-actions">
         ${
           stats.localProducts > 0 && navigator.onLine
@@ -441,6 +833,13 @@ export class ProductsView {
         `
             : ""
         }
+        ${
+          storage.persistenceSupported && !storage.persisted
+            ? `
+          <button id="persist-storage-btn" class="btn btn-secondary">Keep Offline Data</button>
+        `
+            : ""
+        }
         <button id="clear-offline-data" class="btn btn-secondary">Clear Offline Data</button>
       </div>
     `;
@@ -452,6 +851,68 @@ export class ProductsView {
     this.setupModalEventListeners();
   }
 
+  // Offline data against its budget and the browser's quota for the site
+  renderStorageInfo(storage) {
+    const budgetPercent = Math.min(
+      100,
+      Math.round((storage.databaseSize / storage.budget) * 100)
+    );
+
+    return `
+      <div class="storage-info">
+        <h3>Storage</h3>
+        <div class="stat-item">
+          <span class="stat-label">Offline Data:</span>
+          <span class="stat-value">
+            ${this.formatBytes(storage.databaseSize)} of ${this.formatBytes(
+      storage.budget
+    )}
+          </span>
+        </div>
+        <div class="storage-meter" role="progressbar" aria-label="Offline data budget used"
+          aria-valuemin="0" aria-valuemax="100" aria-valuenow="${budgetPercent}">
+          <div class="storage-meter-fill ${
+            budgetPercent >= 90 ? "storage-meter-full" : ""
+          }" style="width: ${budgetPercent}%"></div>
+        </div>
+        ${
+          storage.quota
+            ? `
+          <div class="stat-item">
+            <span class="stat-label">Browser Storage:</span>
+            <span class="stat-value">
+              ${this.formatBytes(storage.usage)} of ${this.formatBytes(
+                storage.quota
+              )} (${((storage.usage / storage.quota) * 100).toFixed(1)}%)
+            </span>
+          </div>
+        `
+            : ""
+        }
+        <div class="stat-item">
+          <span class="stat-label">Persistent Storage:</span>
+          <span class="stat-value">${
+            storage.persisted ? "✅ Yes" : "⚠️ No - the browser may clear it"
+          }</span>
+        </div>
+        <p class="help-text">
+          When offline data goes over its budget, the synced products you
+          viewed least recently are removed first. Unsynced products are
+          always kept.
+        </p>
+      </div>
+    `;
+  }
+
+  formatBytes(bytes) {
+    if (!bytes) return "0 KB";
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  }
+
   setupModalEventListeners() {
     const modal = this.element.querySelector("#offline-info-modal");
     const closeModalBtn = this.element.querySelector("#close-modal");
@@ -491,6 +952,21 @@ export class ProductsView {
       });
     }
 
+    // Ask the browser to keep offline data under storage pressure
+    const persistBtn = statsElement?.querySelector("#persist-storage-btn");
+    if (persistBtn) {
+      persistBtn.addEventListener("click", async () => {
+        const persisted = await SyncService.requestPersistentStorage();
+        this.showMessage(
+          persisted
+            ? "Offline data will be kept by the browser"
+            : "The browser declined to keep offline data permanently",
+          persisted ? "success" : "info"
+        );
+        this.showOfflineInfoModal(); // Refresh stats
+      });
+    }
+
     // Clear offline data button
     const clearDataBtn = statsElement?.querySelector("#clear-offline-data");
     if (clearDataBtn) {
@@ -526,16 +1002,35 @@ export class ProductsView {
     }
 
     try {
-      // For now, we'll just remove it from the local view
-      // In a real app, you would also delete from server and IndexedDB
+      // Removed from IndexedDB right away; the server hears about it on
+      // the next sync
+      await SyncService.deleteProductWithSync(productId);
+
       this.stories = this.stories.filter((story) => story.id !== productId);
-      await this.loadProducts(); // Refresh the list
-      this.showMessage("Product deleted successfully", "success");
+      if (this.searchResults) {
+        this.searchResults = this.searchResults.filter(
+          (story) => story.id !== productId
+        );
+      }
+      this.renderProductGrid();
+      await this.updateSyncStatus();
+      this.showMessage(
+        navigator.onLine
+          ? "Product deleted successfully"
+          : "Product deleted. The change will sync when you're back online.",
+        "success"
+      );
     } catch (error) {
       this.showMessage(`Failed to delete product: ${error.message}`, "error");
     }
   }
 
+  openProductDetail(productId) {
+    if (productId) {
+      NavigationService.navigate(`/products/${encodeURIComponent(productId)}`);
+    }
+  }
+
   handleConnectionChange() {
     // Refresh products when connection changes
     const currentFilter = this.element.querySelector("#location-filter").value;
@@ -578,6 +1073,18 @@ export class ProductsView {
 
   // Cleanup when view is destroyed
   destroy() {
+    // Stop paging and cancel requests still in flight
+    this.loadId++;
+    this.searchId++;
+    clearTimeout(this.searchTimer);
+    if (this.requests) {
+      this.requests.cancel();
+    }
+    if (this.scrollObserver) {
+      this.scrollObserver.disconnect();
+      this.scrollObserver = null;
+    }
+
     // Remove sync listeners
     SyncService.syncListeners.clear();
     
@@ -14,7 +14,6 @@ export default defineConfig({
     rollupOptions: {
       output: {
         manualChunks: {
-          vendor: ['vue', 'react'], // if you add any frameworks later
           utils: ['./src/utils/auth.js', './src/utils/view-transition.js']
         }
       }
@@ -39,6 +38,23 @@ export default defineConfig({
           next();
         });
       }
+    },
+    // Write the list of emitted files so the service worker can precache
+    // the lazily loaded view chunks
+    {
+      name: 'precache-manifest',
+      apply: 'build',
+      generateBundle(options, bundle) {
+        const files = Object.values(bundle)
+          .map((file) => file.fileName)
+          .filter((fileName) => !fileName.endsWith('.map'));
+
+        this.emitFile({
+          type: 'asset',
+          fileName: 'precache-manifest.json',
+          source: JSON.stringify({ files }, null, 2)
+        });
+      }
     }
   ]
 });
\ No newline at end of file